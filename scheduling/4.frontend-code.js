@@ -18,6 +18,7 @@
     "react-hook-form": "^7.47.0",
     "react-toastify": "^9.1.3",
     "date-fns": "^2.30.0",
+    "date-fns-tz": "^2.0.1",
     "@headlessui/react": "^1.7.17",
     "@heroicons/react": "^2.0.18",
     "js-cookie": "^3.0.5"
@@ -66,13 +67,29 @@ export default function RootLayout({ children }) {
 // contexts/AuthContext.js
 'use client'
 
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useRef } from 'react'
 import axios from 'axios'
 import Cookies from 'js-cookie'
 import { useRouter } from 'next/navigation'
 
 const AuthContext = createContext()
 
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000
+
+// Requests that must not trigger a refresh-and-retry on 401
+const NO_RETRY = /\/api\/auth\/(login|refresh|logout|mfa\/verify)$/
+
+// Read the exp claim from a JWT (no verification, just for scheduling)
+const tokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(payload)).exp * 1000
+  } catch (error) {
+    return 0
+  }
+}
+
 export function useAuth() {
   return useContext(AuthContext)
 }
@@ -80,17 +97,67 @@ export function useAuth() {
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
+  // Pre-auth token held between the password step and the second factor
+  const [preAuth, setPreAuth] = useState(null)
   const router = useRouter()
+  const refreshTimer = useRef(null)
+  const refreshing = useRef(null)
+  const lastActivity = useRef(Date.now())
+  const idleTimeoutMinutes = useRef(30)
+
+  // Track user activity for the idle timeout
+  useEffect(() => {
+    const markActive = () => {
+      lastActivity.current = Date.now()
+    }
+    const events = ['mousedown', 'keydown', 'touchstart', 'scroll']
+    events.forEach((event) => window.addEventListener(event, markActive, { passive: true }))
+    return () => events.forEach((event) => window.removeEventListener(event, markActive))
+  }, [])
 
   useEffect(() => {
+    restoreSession()
+
+    // Retry a request once with a fresh access token when it comes back 401
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config
+        if (
+          error.response?.status === 401 &&
+          !original._retried &&
+          !NO_RETRY.test(original.url) &&
+          Cookies.get('refreshToken')
+        ) {
+          original._retried = true
+          const token = await refresh()
+          if (token) {
+            original.headers['Authorization'] = `Bearer ${token}`
+            return axios(original)
+          }
+        }
+        return Promise.reject(error)
+      }
+    )
+
+    return () => {
+      axios.interceptors.response.eject(interceptor)
+      clearTimeout(refreshTimer.current)
+    }
+  }, [])
+
+  const restoreSession = async () => {
     const token = Cookies.get('token')
-    if (token) {
+    if (token && tokenExpiry(token) > Date.now()) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
+      scheduleRefresh(token)
       // Verify token and get user data
-      fetchUser()
+      await fetchUser()
+    } else if (Cookies.get('refreshToken')) {
+      await refresh()
     }
     setLoading(false)
-  }, [])
+  }
 
   const fetchUser = async () => {
     try {
@@ -102,41 +169,127 @@ export function AuthProvider({ children }) {
     }
   }
 
-  const login = async (email, password) => {
-    try {
-      const response = await axios.post('http://localhost:5000/api/auth/login', {
-        email,
-        password
-      })
-
-      const { token, user } = response.data
-      Cookies.set('token', token)
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      setUser(user)
-      
-      // Redirect based on role
-      if (user.role === 'patient') {
-        router.push('/patient/dashboard')
-      } else if (user.role === 'physician') {
-        router.push('/physician/dashboard')
-      } else if (user.role === 'staff') {
-        router.push('/staff/dashboard')
+  // Refresh shortly before the access token expires, unless the user has gone idle
+  const scheduleRefresh = (token) => {
+    clearTimeout(refreshTimer.current)
+    const delay = Math.max(tokenExpiry(token) - Date.now() - REFRESH_MARGIN_MS, 0)
+    refreshTimer.current = setTimeout(() => {
+      if (Date.now() - lastActivity.current > idleTimeoutMinutes.current * 60 * 1000) {
+        logout()
+      } else {
+        refresh()
       }
-    } catch (error) {
-      throw error
+    }, delay)
+  }
+
+  const applySession = ({ token, refreshToken, idleTimeoutMinutes: idleMinutes }) => {
+    Cookies.set('token', token)
+    Cookies.set('refreshToken', refreshToken)
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
+    if (idleMinutes) {
+      idleTimeoutMinutes.current = idleMinutes
     }
+    scheduleRefresh(token)
   }
 
-  const logout = () => {
+  const clearSession = () => {
+    clearTimeout(refreshTimer.current)
     Cookies.remove('token')
+    Cookies.remove('refreshToken')
     delete axios.defaults.headers.common['Authorization']
     setUser(null)
+  }
+
+  // Each refresh token works once, so concurrent callers share a single request
+  const refresh = () => {
+    if (!refreshing.current) {
+      refreshing.current = axios
+        .post('http://localhost:5000/api/auth/refresh', { refreshToken: Cookies.get('refreshToken') })
+        .then((response) => {
+          applySession(response.data)
+          setUser(response.data.user)
+          return response.data.token
+        })
+        .catch(() => {
+          clearSession()
+          router.push('/login')
+          return null
+        })
+        .finally(() => {
+          refreshing.current = null
+        })
+    }
+    return refreshing.current
+  }
+
+  const completeLogin = (session) => {
+    const { user } = session
+    lastActivity.current = Date.now()
+    applySession(session)
+    setPreAuth(null)
+    setUser(user)
+
+    // Redirect based on role
+    if (user.role === 'patient') {
+      router.push('/patient/dashboard')
+    } else if (user.role === 'physician') {
+      router.push('/physician/dashboard')
+    } else if (user.role === 'staff') {
+      router.push('/staff/dashboard')
+    }
+  }
+
+  // Resolves to { mfaRequired } when a code is needed; enrollment redirects to /mfa/setup
+  const login = async (email, password) => {
+    const response = await axios.post('http://localhost:5000/api/auth/login', {
+      email,
+      password
+    })
+
+    if (response.data.mfaRequired) {
+      setPreAuth({ token: response.data.preAuthToken })
+      return { mfaRequired: true }
+    }
+
+    if (response.data.mfaEnrollmentRequired) {
+      setPreAuth({ token: response.data.preAuthToken, enrollment: true })
+      router.push('/mfa/setup')
+      return { mfaEnrollmentRequired: true }
+    }
+
+    completeLogin(response.data)
+    return {}
+  }
+
+  const verifyMfa = async ({ code, recoveryCode }) => {
+    const response = await axios.post('http://localhost:5000/api/auth/mfa/verify', {
+      preAuthToken: preAuth?.token,
+      code,
+      recoveryCode
+    })
+    completeLogin(response.data)
+  }
+
+  const logout = async () => {
+    const refreshToken = Cookies.get('refreshToken')
+    clearSession()
     router.push('/login')
+
+    if (refreshToken) {
+      try {
+        await axios.post('http://localhost:5000/api/auth/logout', { refreshToken })
+      } catch (error) {
+        console.error('Error logging out:', error)
+      }
+    }
   }
 
   const value = {
     user,
     login,
+    verifyMfa,
+    completeLogin,
+    preAuth,
     logout,
     loading
   }
@@ -196,26 +349,110 @@ export default function Home() {
 import { useState } from 'react'
 import { useForm } from 'react-hook-form'
 import { useAuth } from '@/contexts/AuthContext'
+import axios from 'axios'
 import { toast } from 'react-toastify'
 import Link from 'next/link'
 
 export default function Login() {
   const { register, handleSubmit, formState: { errors } } = useForm()
   const [loading, setLoading] = useState(false)
-  const { login } = useAuth()
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null)
+  const [mfaStep, setMfaStep] = useState(false)
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [code, setCode] = useState('')
+  const { login, verifyMfa } = useAuth()
 
   const onSubmit = async (data) => {
     setLoading(true)
+    setUnverifiedEmail(null)
     try {
-      await login(data.email, data.password)
-      toast.success('Login successful!')
+      const result = await login(data.email, data.password)
+      if (result.mfaRequired) {
+        setMfaStep(true)
+      } else if (!result.mfaEnrollmentRequired) {
+        toast.success('Login successful!')
+      }
     } catch (error) {
+      if (error.response?.data?.emailNotVerified) {
+        setUnverifiedEmail(data.email)
+      }
       toast.error(error.response?.data?.error || 'Login failed')
     } finally {
       setLoading(false)
     }
   }
 
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/resend-verification', { email: unverifiedEmail })
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error('Could not send a new link')
+    }
+  }
+
+  const onVerify = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    try {
+      await verifyMfa(useRecoveryCode ? { recoveryCode: code } : { code })
+      toast.success('Login successful!')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Verification failed')
+      if (error.response?.status === 401 && error.response?.data?.error !== 'Invalid verification code') {
+        setMfaStep(false)
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (mfaStep) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-step verification
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your saved recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={onVerify}>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            />
+            <button
+              type="submit"
+              disabled={loading || !code}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode('') }}
+                className="font-medium text-indigo-600 hover:text-indigo-500"
+              >
+                {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -269,6 +506,15 @@ export default function Login() {
             </button>
           </div>
 
+          {unverifiedEmail && (
+            <div className="text-center text-sm text-gray-600">
+              Didn't get the confirmation email?{' '}
+              <button type="button" onClick={resendVerification} className="font-medium text-indigo-600 hover:text-indigo-500">
+                Send a new link
+              </button>
+            </div>
+          )}
+
           <div className="text-center">
             <Link href="/register" className="font-medium text-indigo-600 hover:text-indigo-500">
               Don't have an account? Register
@@ -286,14 +532,17 @@ export default function Login() {
 import { useState, useEffect } from 'react'
 import { useAuth } from '@/contexts/AuthContext'
 import axios from 'axios'
-import { format } from 'date-fns'
+import { format, parseISO } from 'date-fns'
 import { CalendarIcon, ClockIcon, MapPinIcon } from '@heroicons/react/24/outline'
 import Link from 'next/link'
+import { toast } from 'react-toastify'
+import ZonedTime from '@/components/ZonedTime'
 
 export default function PatientDashboard() {
   const { user, logout } = useAuth()
   const [appointments, setAppointments] = useState([])
   const [loading, setLoading] = useState(true)
+  const [feedUrl, setFeedUrl] = useState(null)
 
   useEffect(() => {
     fetchAppointments()
@@ -321,6 +570,49 @@ export default function PatientDashboard() {
     }
   }
 
+  const downloadIcs = async (id) => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/appointments/${id}/ics`, { responseType: 'blob' })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `appointment-${id}.ics`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Could not download calendar file')
+    }
+  }
+
+  const downloadReceipt = async (id) => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/financials/appointment/${id}/receipt`, {
+        params: { format: 'pdf' },
+        responseType: 'blob'
+      })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `receipt-${id}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Could not download receipt')
+    }
+  }
+
+  // Creating a feed URL replaces any earlier one, so old subscriptions stop updating
+  const createFeed = async () => {
+    if (feedUrl || window.confirm('This creates a new calendar link. Any link you created before will stop working. Continue?')) {
+      try {
+        const response = await axios.post('http://localhost:5000/api/calendar/feed')
+        setFeedUrl(response.data.url)
+      } catch (error) {
+        toast.error('Could not create calendar feed')
+      }
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <nav className="bg-white shadow">
@@ -343,11 +635,30 @@ export default function PatientDashboard() {
         <div className="px-4 py-6 sm:px-0">
           <div className="flex justify-between items-center mb-6">
             <h2 className="text-2xl font-bold text-gray-900">Your Appointments</h2>
-            <Link href="/patient/book-appointment" className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">
-              Book New Appointment
-            </Link>
+            <div className="flex items-center space-x-3">
+              <button onClick={createFeed} className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50">
+                Subscribe in Calendar App
+              </button>
+              <Link href="/patient/book-appointment" className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">
+                Book New Appointment
+              </Link>
+            </div>
           </div>
 
+          {feedUrl && (
+            <div className="mb-6 p-4 bg-indigo-50 rounded-lg text-sm">
+              <p className="text-gray-700 mb-2">
+                Add this link to Google Calendar, Outlook or Apple Calendar as a subscription. Keep it private: anyone with the link can see your appointments.
+              </p>
+              <input
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="w-full font-mono text-xs px-2 py-1 border border-gray-300 rounded bg-white"
+              />
+            </div>
+          )}
+
           {loading ? (
             <div className="text-center py-4">Loading...</div>
           ) : appointments.length === 0 ? (
@@ -375,18 +686,25 @@ export default function PatientDashboard() {
                             </div>
                             <div className="flex items-center text-sm text-gray-500">
                               <CalendarIcon className="flex-shrink-0 mr-1.5 h-4 w-4" />
-                              {format(new Date(appointment.appointment_date), 'PPP')}
+                              {format(parseISO(appointment.appointment_date), 'PPP')}
                               <ClockIcon className="flex-shrink-0 ml-3 mr-1.5 h-4 w-4" />
-                              {appointment.start_time} - {appointment.end_time}
+                              <ZonedTime start={appointment.starts_at} end={appointment.ends_at} timeZone={appointment.time_zone} />
                               <MapPinIcon className="flex-shrink-0 ml-3 mr-1.5 h-4 w-4" />
                               {appointment.location_name}
                             </div>
+                            {appointment.visit_type_name && (
+                              <div className="mt-1 text-sm text-gray-600">
+                                {appointment.visit_type_name}
+                              </div>
+                            )}
                             <div className="mt-1 text-sm text-gray-600">
                               Reason: {appointment.reason_for_visit}
                             </div>
-                            {appointment.copay_amount > 0 && (
+                            {(appointment.amount_due > 0 || appointment.amount_paid > 0) && (
                               <div className="mt-1 text-sm text-gray-600">
-                                Copay: ${appointment.copay_amount} ({appointment.payment_status})
+                                Balance due: ${Number(appointment.amount_due).toFixed(2)}
+                                {appointment.amount_paid > 0 && ` (paid $${Number(appointment.amount_paid).toFixed(2)})`}
+                                {' '}({appointment.payment_status})
                               </div>
                             )}
                           </div>
@@ -395,11 +713,12 @@ export default function PatientDashboard() {
                           <span className={`px-2 py-1 text-xs rounded-full ${
                             appointment.status === 'scheduled' ? 'bg-green-100 text-green-800' :
                             appointment.status === 'cancelled' ? 'bg-red-100 text-red-800' :
+                            appointment.status === 'needs-reschedule' ? 'bg-yellow-100 text-yellow-800' :
                             'bg-gray-100 text-gray-800'
                           }`}>
                             {appointment.status}
                           </span>
-                          {appointment.status === 'scheduled' && (
+                          {(appointment.status === 'scheduled' || appointment.status === 'needs-reschedule') && (
                             <>
                               <Link href={`/patient/reschedule/${appointment.id}`} className="text-indigo-600 hover:text-indigo-900 text-sm">
                                 Reschedule
@@ -409,6 +728,16 @@ export default function PatientDashboard() {
                               </button>
                             </>
                           )}
+                          {appointment.status === 'scheduled' && (
+                            <button onClick={() => downloadIcs(appointment.id)} className="text-gray-600 hover:text-gray-900 text-sm">
+                              Add to Calendar
+                            </button>
+                          )}
+                          {appointment.payment_status && appointment.payment_status !== 'pending' && (
+                            <button onClick={() => downloadReceipt(appointment.id)} className="text-gray-600 hover:text-gray-900 text-sm">
+                              Receipt
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -429,19 +758,32 @@ export default function PatientDashboard() {
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import axios from 'axios'
-import Calendar from 'react-calendar'
-import 'react-calendar/dist/Calendar.css'
 import { toast } from 'react-toastify'
-import { format } from 'date-fns'
+import { format, parseISO } from 'date-fns'
+import SlotPicker from '@/components/SlotPicker'
+import ZonedTime from '@/components/ZonedTime'
+import FirstAvailableSearch from '@/components/FirstAvailableSearch'
 
 export default function BookAppointment() {
   const router = useRouter()
   const [step, setStep] = useState(1)
+  // 'physician' picks a physician first; 'first-available' searches across physicians
+  const [mode, setMode] = useState('physician')
+  const [firstAvailable, setFirstAvailable] = useState(null)
+  const [searchKey, setSearchKey] = useState(0)
   const [physicians, setPhysicians] = useState([])
   const [selectedPhysician, setSelectedPhysician] = useState(null)
+  const [visitTypes, setVisitTypes] = useState([])
+  const [selectedVisitType, setSelectedVisitType] = useState(null)
+  const [locations, setLocations] = useState([])
+  const [selectedLocationId, setSelectedLocationId] = useState('')
   const [selectedDate, setSelectedDate] = useState(new Date())
+  const [calendarMonth, setCalendarMonth] = useState(new Date())
+  const [availability, setAvailability] = useState({})
   const [availableSlots, setAvailableSlots] = useState([])
   const [selectedSlot, setSelectedSlot] = useState(null)
+  const [hold, setHold] = useState(null)
+  const [estimate, setEstimate] = useState(null)
   const [reasonForVisit, setReasonForVisit] = useState('')
   const [loading, setLoading] = useState(false)
 
@@ -449,11 +791,31 @@ export default function BookAppointment() {
     fetchPhysicians()
   }, [])
 
+  // A first-available result already carries its physician, visit type and slot
+  useEffect(() => {
+    if (selectedPhysician && mode === 'physician') {
+      fetchVisitTypes()
+      fetchLocations()
+    }
+  }, [selectedPhysician])
+
   useEffect(() => {
-    if (selectedPhysician && selectedDate) {
+    if (selectedPhysician && selectedVisitType && selectedDate && mode === 'physician') {
       fetchAvailableSlots()
     }
-  }, [selectedPhysician, selectedDate])
+  }, [selectedPhysician, selectedVisitType, selectedDate, selectedLocationId])
+
+  useEffect(() => {
+    if (selectedPhysician && selectedVisitType && mode === 'physician') {
+      fetchAvailabilitySummary()
+    }
+  }, [selectedPhysician, selectedVisitType, selectedLocationId, calendarMonth])
+
+  useEffect(() => {
+    if (step === 4) {
+      fetchEstimate()
+    }
+  }, [step])
 
   const fetchPhysicians = async () => {
     try {
@@ -464,38 +826,183 @@ export default function BookAppointment() {
     }
   }
 
+  const fetchVisitTypes = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${selectedPhysician.id}/visit-types`)
+      setVisitTypes(response.data)
+      setSelectedVisitType(null)
+    } catch (error) {
+      console.error('Error fetching visit types:', error)
+    }
+  }
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${selectedPhysician.id}/schedule`)
+      const unique = new Map(response.data.map((row) => [row.location_id, row.location_name]))
+      setLocations(Array.from(unique, ([id, name]) => ({ id, name })))
+      setSelectedLocationId('')
+    } catch (error) {
+      console.error('Error fetching locations:', error)
+    }
+  }
+
   const fetchAvailableSlots = async () => {
     try {
       const response = await axios.get(`http://localhost:5000/api/physicians/${selectedPhysician.id}/available-slots`, {
-        params: { date: format(selectedDate, 'yyyy-MM-dd') }
+        params: {
+          date: format(selectedDate, 'yyyy-MM-dd'),
+          locationId: selectedLocationId || undefined,
+          visitTypeId: selectedVisitType.id
+        }
       })
       setAvailableSlots(response.data.slots)
+      setSelectedSlot(null)
     } catch (error) {
       console.error('Error fetching available slots:', error)
     }
   }
 
+  // Open slot counts for each day of the month shown in the calendar
+  const fetchAvailabilitySummary = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${selectedPhysician.id}/availability-summary`, {
+        params: {
+          month: format(calendarMonth, 'yyyy-MM'),
+          locationId: selectedLocationId || undefined,
+          visitTypeId: selectedVisitType.id
+        }
+      })
+      setAvailability(Object.fromEntries(response.data.days.map((day) => [day.date, day])))
+    } catch (error) {
+      console.error('Error fetching availability:', error)
+    }
+  }
+
+  // Reserve the slot while the patient fills in the details step
+  const holdSlot = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.post('http://localhost:5000/api/appointments/holds', {
+        physicianId: selectedPhysician.id,
+        locationId: selectedSlot.locationId,
+        visitTypeId: selectedVisitType.id,
+        appointmentDate: format(selectedDate, 'yyyy-MM-dd'),
+        startTime: selectedSlot.start,
+        endTime: selectedSlot.end,
+        startsAt: selectedSlot.startsAt,
+        endsAt: selectedSlot.endsAt
+      })
+      setHold(response.data)
+      setStep(4)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not reserve this time slot')
+      fetchAvailableSlots()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const holdFirstAvailable = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.post('http://localhost:5000/api/appointments/holds', {
+        physicianId: firstAvailable.physicianId,
+        locationId: firstAvailable.locationId,
+        visitTypeId: firstAvailable.visitType.id,
+        startsAt: firstAvailable.startsAt,
+        endsAt: firstAvailable.endsAt
+      })
+      setSelectedPhysician(physicians.find((physician) => physician.id === firstAvailable.physicianId))
+      setSelectedVisitType(firstAvailable.visitType)
+      setSelectedDate(parseISO(firstAvailable.date))
+      setSelectedSlot(firstAvailable)
+      setHold(response.data)
+      setStep(4)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not reserve this time slot')
+      setSearchKey((key) => key + 1)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const chooseMode = (value) => {
+    setMode(value)
+    setSelectedPhysician(null)
+    setSelectedVisitType(null)
+    setSelectedSlot(null)
+    setFirstAvailable(null)
+  }
+
+  const returnToSlots = () => {
+    if (mode === 'first-available') {
+      setStep(1)
+      setSearchKey((key) => key + 1)
+    } else {
+      setStep(3)
+      fetchAvailableSlots()
+    }
+  }
+
+  const fetchEstimate = async () => {
+    setEstimate(null)
+    try {
+      const response = await axios.get('http://localhost:5000/api/financials/estimate', {
+        params: {
+          physicianId: selectedPhysician.id,
+          visitTypeId: selectedVisitType.id,
+          date: format(selectedDate, 'yyyy-MM-dd')
+        }
+      })
+      setEstimate(response.data)
+    } catch (error) {
+      console.error('Error fetching cost estimate:', error)
+    }
+  }
+
+  const releaseHold = async () => {
+    if (hold) {
+      await axios.delete(`http://localhost:5000/api/appointments/holds/${hold.holdId}`).catch(() => {})
+      setHold(null)
+    }
+    setStep(mode === 'first-available' ? 1 : 3)
+  }
+
   const handleSubmit = async () => {
     setLoading(true)
     try {
       await axios.post('http://localhost:5000/api/appointments', {
         physicianId: selectedPhysician.id,
-        locationId: 1, // Default location, should be dynamic
+        locationId: selectedSlot.locationId,
+        visitTypeId: selectedVisitType.id,
         appointmentDate: format(selectedDate, 'yyyy-MM-dd'),
         startTime: selectedSlot.start,
         endTime: selectedSlot.end,
-        reasonForVisit,
-        copayAmount: 25 // Default copay, should be dynamic based on insurance
+        startsAt: selectedSlot.startsAt,
+        endsAt: selectedSlot.endsAt,
+        reasonForVisit
       })
       toast.success('Appointment booked successfully!')
       router.push('/patient/dashboard')
     } catch (error) {
-      toast.error('Failed to book appointment')
+      toast.error(error.response?.data?.error || 'Failed to book appointment')
+      if (error.response?.status === 409) {
+        setHold(null)
+        returnToSlots()
+      }
     } finally {
       setLoading(false)
     }
   }
 
+  // Only offer the locations where the chosen visit type can be booked
+  const bookableLocations = selectedVisitType?.allowed_location_ids?.length
+    ? locations.filter((location) => selectedVisitType.allowed_location_ids.includes(location.id))
+    : locations
+
+  const specializations = [...new Set(physicians.map((physician) => physician.specialization))].sort()
+
   return (
     <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-3xl mx-auto">
@@ -505,12 +1012,52 @@ export default function BookAppointment() {
         <div className="mb-8">
           <div className="flex items-center">
             <div className={`flex-1 ${step >= 1 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded`}></div>
-            <div className={`flex-1 ${step >= 2 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded mx-2`}></div>
-            <div className={`flex-1 ${step >= 3 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded`}></div>
+            <div className={`flex-1 ${step >= 2 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded ml-2`}></div>
+            <div className={`flex-1 ${step >= 3 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded mx-2`}></div>
+            <div className={`flex-1 ${step >= 4 ? 'bg-indigo-600' : 'bg-gray-300'} h-2 rounded`}></div>
           </div>
         </div>
 
         {step === 1 && (
+          <div className="mb-4 flex space-x-2">
+            <button
+              onClick={() => chooseMode('physician')}
+              className={`px-4 py-2 rounded-md text-sm ${mode === 'physician' ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+            >
+              Choose a physician
+            </button>
+            <button
+              onClick={() => chooseMode('first-available')}
+              className={`px-4 py-2 rounded-md text-sm ${mode === 'first-available' ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+            >
+              First available
+            </button>
+          </div>
+        )}
+
+        {/* Kept mounted past step 1 so the search and its results survive going back */}
+        {mode === 'first-available' && (
+          <div className={`bg-white shadow rounded-lg p-6 ${step === 1 ? '' : 'hidden'}`}>
+            <h2 className="text-xl font-semibold mb-4">Find the First Available Appointment</h2>
+            <FirstAvailableSearch
+              specializations={specializations}
+              selected={firstAvailable}
+              onSelect={setFirstAvailable}
+              searchKey={searchKey}
+            />
+            <div className="mt-6 flex justify-end">
+              <button
+                onClick={holdFirstAvailable}
+                disabled={!firstAvailable || loading}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 1 && mode === 'physician' && (
           <div className="bg-white shadow rounded-lg p-6">
             <h2 className="text-xl font-semibold mb-4">Select a Physician</h2>
             <div className="grid grid-cols-1 gap-4">
@@ -541,38 +1088,27 @@ export default function BookAppointment() {
 
         {step === 2 && (
           <div className="bg-white shadow rounded-lg p-6">
-            <h2 className="text-xl font-semibold mb-4">Select Date and Time</h2>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <h3 className="font-medium mb-2">Select Date</h3>
-                <Calendar
-                  onChange={setSelectedDate}
-                  value={selectedDate}
-                  minDate={new Date()}
-                />
-              </div>
-              <div>
-                <h3 className="font-medium mb-2">Available Time Slots</h3>
-                <div className="grid grid-cols-2 gap-2 max-h-96 overflow-y-auto">
-                  {availableSlots.length === 0 ? (
-                    <p className="text-gray-500 col-span-2">No available slots for this date</p>
-                  ) : (
-                    availableSlots.map((slot, index) => (
-                      <button
-                        key={index}
-                        onClick={() => setSelectedSlot(slot)}
-                        className={`p-2 text-sm rounded ${
-                          selectedSlot === slot
-                            ? 'bg-indigo-600 text-white'
-                            : 'bg-gray-100 hover:bg-gray-200'
-                        }`}
-                      >
-                        {slot.start} - {slot.end}
-                      </button>
-                    ))
-                  )}
-                </div>
-              </div>
+            <h2 className="text-xl font-semibold mb-4">Select Visit Type</h2>
+            <div className="grid grid-cols-1 gap-4">
+              {visitTypes.length === 0 ? (
+                <p className="text-gray-500">This physician has no visit types available for online booking</p>
+              ) : (
+                visitTypes.map((visitType) => (
+                  <div
+                    key={visitType.id}
+                    className={`border rounded-lg p-4 cursor-pointer hover:border-indigo-500 ${
+                      selectedVisitType?.id === visitType.id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300'
+                    }`}
+                    onClick={() => setSelectedVisitType(visitType)}
+                  >
+                    <h3 className="font-medium">{visitType.name}</h3>
+                    <p className="text-sm text-gray-600">{visitType.duration_minutes} minutes</p>
+                    {!visitType.new_patient_bookable && (
+                      <p className="text-sm text-gray-500">Established patients only</p>
+                    )}
+                  </div>
+                ))
+              )}
             </div>
             <div className="mt-6 flex justify-between">
               <button
@@ -583,7 +1119,7 @@ export default function BookAppointment() {
               </button>
               <button
                 onClick={() => setStep(3)}
-                disabled={!selectedSlot}
+                disabled={!selectedVisitType}
                 className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
               >
                 Next
@@ -593,6 +1129,39 @@ export default function BookAppointment() {
         )}
 
         {step === 3 && (
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Select Date and Time</h2>
+            <SlotPicker
+              locations={bookableLocations}
+              selectedLocationId={selectedLocationId}
+              onLocationChange={setSelectedLocationId}
+              selectedDate={selectedDate}
+              onDateChange={setSelectedDate}
+              slots={availableSlots}
+              selectedSlot={selectedSlot}
+              onSelectSlot={setSelectedSlot}
+              availability={availability}
+              onMonthChange={setCalendarMonth}
+            />
+            <div className="mt-6 flex justify-between">
+              <button
+                onClick={() => setStep(2)}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400"
+              >
+                Back
+              </button>
+              <button
+                onClick={holdSlot}
+                disabled={!selectedSlot || loading}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 4 && (
           <div className="bg-white shadow rounded-lg p-6">
             <h2 className="text-xl font-semibold mb-4">Appointment Details</h2>
             <div className="space-y-4">
@@ -600,10 +1169,36 @@ export default function BookAppointment() {
                 <h3 className="font-medium">Summary</h3>
                 <div className="mt-2 bg-gray-50 p-4 rounded">
                   <p><strong>Physician:</strong> Dr. {selectedPhysician.first_name} {selectedPhysician.last_name}</p>
+                  <p><strong>Visit Type:</strong> {selectedVisitType.name}</p>
                   <p><strong>Date:</strong> {format(selectedDate, 'PPP')}</p>
-                  <p><strong>Time:</strong> {selectedSlot.start} - {selectedSlot.end}</p>
-                  <p><strong>Estimated Copay:</strong> $25.00</p>
+                  <p><strong>Time:</strong> <ZonedTime start={selectedSlot.startsAt} end={selectedSlot.endsAt} timeZone={selectedSlot.timeZone} /></p>
+                  <p><strong>Location:</strong> {selectedSlot.locationName}</p>
+                </div>
+                <div className="mt-2 bg-gray-50 p-4 rounded">
+                  {!estimate ? (
+                    <p className="text-sm text-gray-500">Checking your coverage...</p>
+                  ) : (
+                    <>
+                      <p><strong>Estimated Cost:</strong> ${estimate.patientResponsibility.toFixed(2)}</p>
+                      {estimate.eligibilityStatus === 'eligible' ? (
+                        <p className="text-sm text-gray-600">
+                          {estimate.planName}: copay ${estimate.copayAmount.toFixed(2)}
+                          {estimate.deductibleAmount > 0 && `, deductible $${estimate.deductibleAmount.toFixed(2)}`}
+                          {estimate.coinsuranceAmount > 0 && `, coinsurance $${estimate.coinsuranceAmount.toFixed(2)}`}
+                          . Insurance expected to pay ${estimate.insuranceCoverage.toFixed(2)} of ${estimate.totalCharge.toFixed(2)}.
+                        </p>
+                      ) : (
+                        <p className="text-sm text-yellow-700">{estimate.message}</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">This is an estimate. Your final cost depends on your insurer's processing of the claim.</p>
+                    </>
+                  )}
                 </div>
+                {hold && (
+                  <p className="mt-2 text-sm text-gray-500">
+                    This time is reserved for you until {format(new Date(hold.expiresAt), 'p')}
+                  </p>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700">
@@ -611,4 +1206,2637 @@ export default function BookAppointment() {
                 </label>
                 <textarea
                   value={reasonForVisit}
-                  onChange
\ No newline at end of file
+                  onChange={(e) => setReasonForVisit(e.target.value)}
+                  rows={4}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Briefly describe the reason for your visit"
+                />
+              </div>
+            </div>
+            <div className="mt-6 flex justify-between">
+              <button
+                onClick={releaseHold}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={loading || !reasonForVisit}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {loading ? 'Booking...' : 'Confirm Appointment'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// app/mfa/setup/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { useAuth } from '@/contexts/AuthContext'
+
+export default function MfaSetup() {
+  const router = useRouter()
+  const { preAuth, completeLogin } = useAuth()
+  const [enrollment, setEnrollment] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [session, setSession] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  // During login the pre-auth token authorizes enrollment; otherwise the session header is used
+  const headers = preAuth?.enrollment ? { Authorization: `Bearer ${preAuth.token}` } : undefined
+
+  useEffect(() => {
+    startEnrollment()
+  }, [])
+
+  const startEnrollment = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/mfa/setup', {}, { headers })
+      setEnrollment(response.data)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not start enrollment')
+      if (error.response?.status === 401) {
+        router.push('/login')
+      }
+    }
+  }
+
+  const onEnable = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/mfa/enable', { code }, { headers })
+      setRecoveryCodes(response.data.recoveryCodes)
+      if (response.data.token) {
+        setSession(response.data)
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Verification failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onDone = () => {
+    if (session) {
+      completeLogin(session)
+    } else {
+      router.back()
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-900">Set up two-step verification</h2>
+
+        {recoveryCodes ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Save these recovery codes somewhere safe. Each code can be used once if you lose access to your authenticator app.
+            </p>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 p-4 rounded">
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode}>{recoveryCode}</li>
+              ))}
+            </ul>
+            <button
+              onClick={onDone}
+              className="w-full bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700"
+            >
+              I have saved my codes
+            </button>
+          </div>
+        ) : !enrollment ? (
+          <div className="text-center py-4">Loading...</div>
+        ) : (
+          <form onSubmit={onEnable} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {preAuth?.enrollment && 'Your organization requires two-step verification for your account. '}
+              Scan this code with an authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="mx-auto h-48 w-48" />
+            <p className="text-xs text-gray-500 text-center break-all">
+              Can't scan? Enter this key manually: <span className="font-mono">{enrollment.secret}</span>
+            </p>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder="123456"
+            />
+            <button
+              type="submit"
+              disabled={loading || !code}
+              className="w-full bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {loading ? 'Verifying...' : 'Turn on two-step verification'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// app/staff/dashboard/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '@/contexts/AuthContext'
+import axios from 'axios'
+import { format, parseISO } from 'date-fns'
+import { CalendarIcon, CurrencyDollarIcon, CheckCircleIcon, XCircleIcon, UserPlusIcon } from '@heroicons/react/24/outline'
+import { toast } from 'react-toastify'
+import WalkInQueue from '@/components/WalkInQueue'
+
+// Statuses front desk staff can set inline; cancelling goes through the cancel action
+const STATUS_OPTIONS = ['scheduled', 'checked-in', 'completed', 'no-show']
+// The statuses each one can move to, as the server allows
+const NEXT_STATUSES = {
+  scheduled: ['checked-in', 'completed', 'no-show'],
+  'checked-in': ['scheduled', 'completed'],
+  completed: [],
+  'no-show': ['scheduled']
+}
+
+const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'check', label: 'Check' },
+  { value: 'account-credit', label: 'Account credit' }
+]
+
+const statusClass = (status) =>
+  status === 'scheduled' ? 'bg-blue-100 text-blue-800' :
+  status === 'checked-in' ? 'bg-green-100 text-green-800' :
+  status === 'completed' ? 'bg-gray-100 text-gray-800' :
+  status === 'cancelled' ? 'bg-red-100 text-red-800' :
+  status === 'needs-reschedule' ? 'bg-yellow-100 text-yellow-800' :
+  'bg-orange-100 text-orange-800'
+
+const formatTime = (time) => format(new Date(`1970-01-01T${time}`), 'h:mm a')
+
+export default function StaffDashboard() {
+  const { user, logout } = useAuth()
+  const today = format(new Date(), 'yyyy-MM-dd')
+  const [appointments, setAppointments] = useState([])
+  const [todayAppointments, setTodayAppointments] = useState([])
+  const [physicians, setPhysicians] = useState([])
+  const [filters, setFilters] = useState({ date: today, physicianId: '', status: '', search: '' })
+  const [loading, setLoading] = useState(true)
+  const [payment, setPayment] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [walkInsToday, setWalkInsToday] = useState(0)
+
+  useEffect(() => {
+    fetchPhysicians()
+    fetchTodayStats()
+  }, [])
+
+  // Debounce so typing in the search box doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(fetchAppointments, filters.search ? 300 : 0)
+    return () => clearTimeout(timer)
+  }, [filters])
+
+  const fetchPhysicians = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/physicians')
+      setPhysicians(response.data)
+    } catch (error) {
+      console.error('Error fetching physicians:', error)
+    }
+  }
+
+  const fetchTodayStats = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/appointments', { params: { date: today } })
+      setTodayAppointments(response.data)
+    } catch (error) {
+      console.error('Error fetching today\'s appointments:', error)
+    }
+  }
+
+  const fetchAppointments = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const response = await axios.get('http://localhost:5000/api/appointments', { params })
+      setAppointments(response.data)
+    } catch (error) {
+      console.error('Error fetching appointments:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const refresh = () => {
+    fetchAppointments()
+    fetchTodayStats()
+  }
+
+  const updateFilter = (name) => (e) => setFilters({ ...filters, [name]: e.target.value })
+
+  const changeStatus = async (appointment, status) => {
+    try {
+      await axios.patch(`http://localhost:5000/api/appointments/${appointment.id}/status`, { status })
+      toast.success(`${appointment.patient_first_name} ${appointment.patient_last_name} marked ${status}`)
+      refresh()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not update status')
+    }
+  }
+
+  const cancelAppointment = async (appointment) => {
+    if (window.confirm(`Cancel the appointment for ${appointment.patient_first_name} ${appointment.patient_last_name}?`)) {
+      try {
+        await axios.delete(`http://localhost:5000/api/appointments/${appointment.id}`)
+        refresh()
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Could not cancel appointment')
+      }
+    }
+  }
+
+  const openPayment = (appointment) => {
+    setPayment({
+      appointment,
+      amount: Number(appointment.amount_due).toFixed(2),
+      method: 'cash',
+      reference: '',
+      source: ''
+    })
+  }
+
+  const submitPayment = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const response = await axios.post(`http://localhost:5000/api/financials/appointment/${payment.appointment.id}/payment`, {
+        amountPaid: Number(payment.amount),
+        method: payment.method,
+        reference: payment.reference || undefined,
+        source: payment.method === 'card' ? payment.source : undefined
+      })
+      toast.success(
+        response.data.creditAdded > 0
+          ? `Payment recorded. $${response.data.creditAdded.toFixed(2)} added to the patient's account credit.`
+          : `Payment recorded. Remaining balance: $${response.data.remainingBalance.toFixed(2)}`
+      )
+      setPayment(null)
+      refresh()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Payment failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const liveToday = todayAppointments.filter(a => a.status !== 'cancelled')
+  const stats = [
+    { label: 'Today\'s Appointments', value: liveToday.length, icon: CalendarIcon, color: 'text-indigo-600' },
+    {
+      label: 'Pending Copays',
+      value: `$${liveToday.reduce((sum, a) => sum + Number(a.amount_due || 0), 0).toFixed(2)}`,
+      icon: CurrencyDollarIcon,
+      color: 'text-yellow-600'
+    },
+    { label: 'Walk-ins Today', value: walkInsToday, icon: UserPlusIcon, color: 'text-green-600' },
+    { label: 'Checked In', value: todayAppointments.filter(a => a.status === 'checked-in').length, icon: CheckCircleIcon, color: 'text-green-600' },
+    { label: 'Cancellations', value: todayAppointments.filter(a => a.status === 'cancelled').length, icon: XCircleIcon, color: 'text-red-600' }
+  ]
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <nav className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-semibold">Staff Portal</h1>
+            </div>
+            <div className="flex items-center space-x-4">
+              <span>Welcome, {user?.first_name}</span>
+              <button onClick={logout} className="text-gray-500 hover:text-gray-700">
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-6 mb-8 px-4 sm:px-0">
+          {stats.map((stat) => (
+            <div key={stat.label} className="bg-white p-6 rounded-lg shadow">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-600">{stat.label}</p>
+                  <p className="text-2xl font-bold text-gray-900">{stat.value}</p>
+                </div>
+                <stat.icon className={`h-8 w-8 ${stat.color}`} />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mb-8">
+          <WalkInQueue
+            manage
+            physicians={physicians}
+            defaultLocationId={user?.location_id}
+            onLoad={setWalkInsToday}
+            onSlotted={refresh}
+          />
+        </div>
+
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">Appointment Management</h2>
+            <div className="flex flex-col md:flex-row gap-4">
+              <input
+                type="text"
+                value={filters.search}
+                onChange={updateFilter('search')}
+                placeholder="Search patient name..."
+                className="flex-grow px-4 py-2 border border-gray-300 rounded-md"
+              />
+              <select value={filters.physicianId} onChange={updateFilter('physicianId')} className="px-4 py-2 border border-gray-300 rounded-md">
+                <option value="">All Physicians</option>
+                {physicians.map((physician) => (
+                  <option key={physician.id} value={physician.id}>
+                    Dr. {physician.first_name} {physician.last_name}
+                  </option>
+                ))}
+              </select>
+              <select value={filters.status} onChange={updateFilter('status')} className="px-4 py-2 border border-gray-300 rounded-md">
+                <option value="">All Statuses</option>
+                {[...STATUS_OPTIONS, 'needs-reschedule', 'cancelled'].map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={filters.date}
+                onChange={updateFilter('date')}
+                className="px-4 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="text-center py-4">Loading...</div>
+          ) : appointments.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-gray-500">No appointments match these filters</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Time', 'Patient', 'Physician', 'Type', 'Status', 'Copay', 'Actions'].map((heading) => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {appointments.map((appointment) => (
+                    <tr key={appointment.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatTime(appointment.start_time)}
+                        {!filters.date && (
+                          <div className="text-xs text-gray-500">{format(parseISO(appointment.appointment_date), 'PP')}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <p className="text-sm font-medium text-gray-900">
+                          {appointment.patient_first_name} {appointment.patient_last_name}
+                        </p>
+                        <p className="text-xs text-gray-500">ID: #{appointment.patient_id}</p>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        Dr. {appointment.physician_first_name} {appointment.physician_last_name}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {appointment.visit_type_name || '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {STATUS_OPTIONS.includes(appointment.status) ? (
+                          <select
+                            value={appointment.status}
+                            onChange={(e) => changeStatus(appointment, e.target.value)}
+                            className={`px-2 py-1 text-xs font-semibold rounded-full border-0 ${statusClass(appointment.status)}`}
+                          >
+                            {STATUS_OPTIONS.filter((status) => status === appointment.status || NEXT_STATUSES[appointment.status].includes(status)).map((status) => (
+                              <option key={status} value={status}>{status}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${statusClass(appointment.status)}`}>
+                            {appointment.status}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {appointment.amount_due > 0 ? (
+                          <span className="text-red-600">${Number(appointment.amount_due).toFixed(2)} Due</span>
+                        ) : (
+                          <span className="text-gray-600">{appointment.payment_status || '-'}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                        {appointment.amount_due > 0 && appointment.status !== 'cancelled' && (
+                          <button onClick={() => openPayment(appointment)} className="text-green-600 hover:text-green-900">
+                            Process Payment
+                          </button>
+                        )}
+                        {['scheduled', 'needs-reschedule'].includes(appointment.status) && (
+                          <button onClick={() => cancelAppointment(appointment)} className="text-red-600 hover:text-red-900">
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {payment && (
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <form onSubmit={submitPayment} className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 space-y-4">
+            <h3 className="text-lg font-semibold">Process Payment</h3>
+            <p className="text-sm text-gray-600">
+              {payment.appointment.patient_first_name} {payment.appointment.patient_last_name}, {format(parseISO(payment.appointment.appointment_date), 'PP')}.
+              Balance due: ${Number(payment.appointment.amount_due).toFixed(2)}
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Amount</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                required
+                value={payment.amount}
+                onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+              {Number(payment.amount) > Number(payment.appointment.amount_due) && payment.method !== 'account-credit' && (
+                <p className="mt-1 text-xs text-gray-500">The amount over the balance will be kept as account credit.</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Method</label>
+              <select
+                value={payment.method}
+                onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {PAYMENT_METHODS.map((method) => (
+                  <option key={method.value} value={method.value}>{method.label}</option>
+                ))}
+              </select>
+            </div>
+            {payment.method === 'card' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Card token</label>
+                <input
+                  required
+                  value={payment.source}
+                  onChange={(e) => setPayment({ ...payment, source: e.target.value })}
+                  placeholder="Token from the card terminal"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </div>
+            )}
+            {payment.method === 'check' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Check number</label>
+                <input
+                  value={payment.reference}
+                  onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </div>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setPayment(null)} className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50">
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                {submitting ? 'Processing...' : 'Record Payment'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// app/physician/dashboard/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '@/contexts/AuthContext'
+import axios from 'axios'
+import { format, parseISO, startOfWeek, endOfWeek } from 'date-fns'
+import { FolderOpenIcon } from '@heroicons/react/24/outline'
+import Link from 'next/link'
+import { toast } from 'react-toastify'
+import WalkInQueue from '@/components/WalkInQueue'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const BLOCKED_TIME_LABELS = { break: 'Break', admin: 'Admin Time', meeting: 'Meeting', procedure: 'Procedure', 'time-off': 'Time Off' }
+
+const formatTime = (time) => format(new Date(`1970-01-01T${time}`), 'h:mm a')
+const shortTime = (time) => format(new Date(`1970-01-01T${time}`), 'h:mm')
+
+const minutesBetween = (start, end) =>
+  (new Date(`1970-01-01T${end}`) - new Date(`1970-01-01T${start}`)) / 60000
+
+export default function PhysicianDashboard() {
+  const { user, logout } = useAuth()
+  const [appointments, setAppointments] = useState([])
+  const [week, setWeek] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [launching, setLaunching] = useState(null)
+  const today = new Date()
+
+  useEffect(() => {
+    if (user) {
+      fetchAppointments()
+      fetchSchedule()
+    }
+  }, [user])
+
+  const fetchAppointments = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/appointments', {
+        params: { date: format(today, 'yyyy-MM-dd') }
+      })
+      setAppointments(response.data.filter((appointment) => appointment.status !== 'cancelled'))
+    } catch (error) {
+      console.error('Error fetching appointments:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // This week's effective hours (Monday to Sunday), with overrides and time off applied
+  const fetchSchedule = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/schedule/preview`, {
+        params: {
+          from: format(startOfWeek(today, { weekStartsOn: 1 }), 'yyyy-MM-dd'),
+          to: format(endOfWeek(today, { weekStartsOn: 1 }), 'yyyy-MM-dd')
+        }
+      })
+      setWeek(response.data)
+    } catch (error) {
+      console.error('Error fetching schedule:', error)
+    }
+  }
+
+  // Open the patient's chart in the EHR through a SMART launch
+  const openRecord = async (appointment) => {
+    setLaunching(appointment.id)
+    try {
+      const response = await axios.get(`http://localhost:5000/api/patients/${appointment.patient_id}/ehr`)
+      window.open(response.data.ehrUrl, '_blank', 'noopener')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not open the patient record')
+    } finally {
+      setLaunching(null)
+    }
+  }
+
+  const markCompleted = async (appointment) => {
+    try {
+      await axios.patch(`http://localhost:5000/api/appointments/${appointment.id}/status`, { status: 'completed' })
+      fetchAppointments()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not update status')
+    }
+  }
+
+  // Today's hours, with appointments, lunch breaks and blocked time merged in time order
+  const todaysSchedule = week.find((day) => day.date === format(today, 'yyyy-MM-dd'))
+  const todaysBlocks = todaysSchedule?.blocks || []
+  const timeline = [
+    ...appointments.map((appointment) => ({ type: 'appointment', time: appointment.start_time, appointment })),
+    ...todaysBlocks
+      .filter((block) => block.lunch_start && block.lunch_end)
+      .map((block) => ({ type: 'break', key: `lunch-${block.id}`, time: block.lunch_start, end: block.lunch_end, label: 'Lunch Break' })),
+    ...(todaysSchedule?.blocked || []).map((entry) => ({
+      type: 'break',
+      key: `blocked-${entry.id}`,
+      time: entry.start_time,
+      end: entry.end_time,
+      label: entry.reason ? `${BLOCKED_TIME_LABELS[entry.category]}: ${entry.reason}` : BLOCKED_TIME_LABELS[entry.category]
+    }))
+  ].sort((a, b) => a.time.localeCompare(b.time))
+
+  const roomFor = (appointment) =>
+    todaysBlocks.find((block) =>
+      block.location_id === appointment.location_id &&
+      block.start_time <= appointment.start_time &&
+      block.end_time > appointment.start_time
+    )?.room
+
+  const completed = appointments.filter((appointment) => appointment.status === 'completed').length
+  const remaining = appointments.filter((appointment) => ['scheduled', 'checked-in'].includes(appointment.status)).length
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <nav className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-semibold">Physician Portal</h1>
+            </div>
+            <div className="flex items-center space-x-4">
+              <span>Welcome, Dr. {user?.last_name}</span>
+              <button onClick={logout} className="text-gray-500 hover:text-gray-700">
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 space-y-8">
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-xl font-bold text-gray-900">Today's Schedule - {format(today, 'MMMM d, yyyy')}</h2>
+          </div>
+          <div className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              <div className="text-center">
+                <p className="text-3xl font-bold text-gray-900">{appointments.length}</p>
+                <p className="text-sm text-gray-600">Total Appointments</p>
+              </div>
+              <div className="text-center">
+                <p className="text-3xl font-bold text-green-600">{completed}</p>
+                <p className="text-sm text-gray-600">Completed</p>
+              </div>
+              <div className="text-center">
+                <p className="text-3xl font-bold text-yellow-600">{remaining}</p>
+                <p className="text-sm text-gray-600">Remaining</p>
+              </div>
+            </div>
+
+            {loading ? (
+              <div className="text-center py-4">Loading...</div>
+            ) : timeline.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">No appointments today</p>
+            ) : (
+              <div className="space-y-4">
+                {timeline.map((entry) => entry.type === 'break' ? (
+                  <div key={entry.key} className="flex items-start space-x-4 p-4">
+                    <div className="flex-shrink-0 w-20 text-right">
+                      <p className="text-sm font-medium text-gray-900">{formatTime(entry.time)}</p>
+                    </div>
+                    <div className="flex-grow bg-gray-200 p-4 rounded-lg text-center">
+                      <p className="text-gray-700 font-medium">{entry.label}</p>
+                      <p className="text-sm text-gray-600">
+                        {formatTime(entry.time)} - {formatTime(entry.end)}
+                      </p>
+                    </div>
+                  </div>
+                ) : (
+                  <div key={entry.appointment.id} className="flex items-start space-x-4 p-4 bg-gray-50 rounded-lg">
+                    <div className="flex-shrink-0 w-20 text-right">
+                      <p className="text-sm font-medium text-gray-900">{formatTime(entry.appointment.start_time)}</p>
+                    </div>
+                    <div className="flex-grow bg-white p-4 rounded-lg shadow">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <h4 className="font-medium text-gray-900">
+                            {entry.appointment.patient_first_name} {entry.appointment.patient_last_name}
+                          </h4>
+                          <p className="text-sm text-gray-600">
+                            {entry.appointment.visit_type_name || entry.appointment.reason_for_visit}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Duration: {minutesBetween(entry.appointment.start_time, entry.appointment.end_time)} min
+                            {' • '}{entry.appointment.location_name}
+                            {roomFor(entry.appointment) && ` • Room ${roomFor(entry.appointment)}`}
+                            {' • '}{entry.appointment.status}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          {entry.appointment.status === 'checked-in' && (
+                            <button onClick={() => markCompleted(entry.appointment)} className="text-green-600 hover:text-green-900 text-sm">
+                              Mark Completed
+                            </button>
+                          )}
+                          <button
+                            onClick={() => openRecord(entry.appointment)}
+                            disabled={launching === entry.appointment.id}
+                            className="flex items-center bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                          >
+                            <FolderOpenIcon className="h-4 w-4 mr-2" />
+                            {launching === entry.appointment.id ? 'Opening...' : 'Open Record'}
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <WalkInQueue />
+
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <h3 className="text-lg font-bold text-gray-900">Weekly Schedule</h3>
+            <Link href="/physician/schedule" className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">
+              Edit Schedule / Add Time Off
+            </Link>
+          </div>
+          <div className="p-6 grid grid-cols-7 gap-2">
+            {week.map((day) => (
+              <div key={day.date} className={`text-center p-3 border rounded-lg ${day.blocks.length === 0 ? 'bg-gray-100' : ''}`}>
+                <p className={`font-medium ${day.blocks.length === 0 ? 'text-gray-500' : ''}`}>{DAYS[parseISO(day.date).getDay()]}</p>
+                <p className="text-xs text-gray-400">{format(parseISO(day.date), 'MMM d')}</p>
+                {day.blocks.length === 0 ? (
+                  <p className="text-sm text-gray-400">{day.timeOff ? 'Time off' : 'Off'}</p>
+                ) : day.blocks.map((block) => (
+                  <div key={`${block.source}-${block.id}`}>
+                    <p className="text-sm text-gray-600">{shortTime(block.start_time)}-{shortTime(block.end_time)}</p>
+                    <p className="text-xs text-indigo-600">{block.location_name}</p>
+                    {block.source === 'override' && <p className="text-xs text-yellow-600">One-off</p>}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+// app/physician/schedule/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useAuth } from '@/contexts/AuthContext'
+import axios from 'axios'
+import { format, addDays, parseISO } from 'date-fns'
+import Link from 'next/link'
+import { toast } from 'react-toastify'
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const WEEKS_OF_MONTH = [
+  { value: '1', label: '1st' },
+  { value: '2', label: '2nd' },
+  { value: '3', label: '3rd' },
+  { value: '4', label: '4th' },
+  { value: '5', label: '5th' },
+  { value: '-1', label: 'Last' }
+]
+
+// Days shown in the effective schedule preview
+const PREVIEW_DAYS = 28
+
+const emptyBlock = {
+  dayOfWeek: '1', locationId: '', startTime: '08:00', endTime: '17:00', lunchStart: '12:00', lunchEnd: '13:00', room: '',
+  recurrence: 'weekly', weekOfMonth: '1', effectiveFrom: '', effectiveTo: ''
+}
+
+const emptyOverride = { date: '', locationId: '', kind: 'extra', startTime: '', endTime: '', lunchStart: '', lunchEnd: '', room: '', reason: '' }
+
+const BLOCKED_TIME_LABELS = { break: 'Break', admin: 'Admin Time', meeting: 'Meeting', procedure: 'Procedure', 'time-off': 'Time Off' }
+
+const emptyBlockedTime = { date: '', startTime: '', endTime: '', category: 'break', reason: '', repeatUntil: '' }
+
+// "Every Monday", "Every other Wednesday", "2nd Saturday of the month"
+const describePattern = (row) =>
+  row.recurrence === 'biweekly' ? `Every other ${DAYS[row.day_of_week]}` :
+  row.recurrence === 'monthly' ? `${WEEKS_OF_MONTH.find((week) => Number(week.value) === row.week_of_month)?.label} ${DAYS[row.day_of_week]} of the month` :
+  `Every ${DAYS[row.day_of_week]}`
+
+const describeDates = (row) => {
+  const from = format(parseISO(row.effective_from), 'PP')
+  return row.effective_to ? `${from} - ${format(parseISO(row.effective_to), 'PP')}` : `From ${from}`
+}
+
+export default function PhysicianSchedule() {
+  const { user } = useAuth()
+  const [schedule, setSchedule] = useState([])
+  const [overrides, setOverrides] = useState([])
+  const [preview, setPreview] = useState([])
+  const [timeOff, setTimeOff] = useState([])
+  const [locations, setLocations] = useState([])
+  const [block, setBlock] = useState(emptyBlock)
+  const [override, setOverride] = useState(emptyOverride)
+  const [blockedTime, setBlockedTime] = useState([])
+  const [blockEntry, setBlockEntry] = useState(emptyBlockedTime)
+  const [editingBlockId, setEditingBlockId] = useState(null)
+  const [absence, setAbsence] = useState({ startDate: '', endDate: '', reason: '' })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (user) {
+      fetchSchedule()
+      fetchOverrides()
+      fetchPreview()
+      fetchBlockedTime()
+      fetchTimeOff()
+      fetchLocations()
+    }
+  }, [user])
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/schedule`)
+      setSchedule(response.data)
+    } catch (error) {
+      console.error('Error fetching schedule:', error)
+    }
+  }
+
+  const fetchOverrides = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/schedule/overrides`)
+      setOverrides(response.data)
+    } catch (error) {
+      console.error('Error fetching overrides:', error)
+    }
+  }
+
+  const fetchPreview = async () => {
+    try {
+      const today = new Date()
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/schedule/preview`, {
+        params: { from: format(today, 'yyyy-MM-dd'), to: format(addDays(today, PREVIEW_DAYS - 1), 'yyyy-MM-dd') }
+      })
+      setPreview(response.data)
+    } catch (error) {
+      console.error('Error fetching schedule preview:', error)
+    }
+  }
+
+  const fetchBlockedTime = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/blocked-time`)
+      setBlockedTime(response.data)
+    } catch (error) {
+      console.error('Error fetching blocked time:', error)
+    }
+  }
+
+  const fetchTimeOff = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${user.id}/time-off`)
+      setTimeOff(response.data)
+    } catch (error) {
+      console.error('Error fetching time off:', error)
+    }
+  }
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/locations')
+      setLocations(response.data)
+    } catch (error) {
+      console.error('Error fetching locations:', error)
+    }
+  }
+
+  // Editing keeps the template's dates, so saving changes the hours in effect today
+  const editBlock = (row) => {
+    setBlock({
+      dayOfWeek: String(row.day_of_week),
+      locationId: String(row.location_id),
+      startTime: row.start_time.slice(0, 5),
+      endTime: row.end_time.slice(0, 5),
+      lunchStart: row.lunch_start?.slice(0, 5) || '',
+      lunchEnd: row.lunch_end?.slice(0, 5) || '',
+      room: row.room || '',
+      recurrence: row.recurrence,
+      weekOfMonth: String(row.week_of_month || 1),
+      effectiveFrom: '',
+      effectiveTo: row.effective_to ? format(parseISO(row.effective_to), 'yyyy-MM-dd') : ''
+    })
+  }
+
+  const saveBlock = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await axios.post(`http://localhost:5000/api/physicians/${user.id}/schedule`, {
+        ...block,
+        dayOfWeek: Number(block.dayOfWeek),
+        locationId: Number(block.locationId),
+        weekOfMonth: block.recurrence === 'monthly' ? Number(block.weekOfMonth) : undefined
+      })
+      toast.success('Schedule saved')
+      setBlock(emptyBlock)
+      fetchSchedule()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not save schedule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeBlock = async (row) => {
+    if (window.confirm(`Remove ${describePattern(row).toLowerCase()} at ${row.location_name} from your schedule?`)) {
+      try {
+        await axios.delete(`http://localhost:5000/api/physicians/${user.id}/schedule/${row.id}`)
+        fetchSchedule()
+        fetchPreview()
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Could not remove schedule')
+      }
+    }
+  }
+
+  const addOverride = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const response = await axios.post(`http://localhost:5000/api/physicians/${user.id}/schedule/overrides`, {
+        ...override,
+        locationId: Number(override.locationId)
+      })
+      const affected = response.data.affectedAppointments.length
+      toast.success(affected > 0
+        ? `Override added. ${affected} appointment(s) outside the new hours were flagged for rescheduling and the patients notified.`
+        : 'Override added')
+      setOverride(emptyOverride)
+      fetchOverrides()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not add override')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeOverride = async (entry) => {
+    try {
+      await axios.delete(`http://localhost:5000/api/physicians/${user.id}/schedule/overrides/${entry.id}`)
+      fetchOverrides()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not remove override')
+    }
+  }
+
+  const editBlockedTime = (entry) => {
+    setEditingBlockId(entry.id)
+    setBlockEntry({
+      date: format(parseISO(entry.block_date), 'yyyy-MM-dd'),
+      startTime: entry.start_time.slice(0, 5),
+      endTime: entry.end_time.slice(0, 5),
+      category: entry.category,
+      reason: entry.reason || '',
+      repeatUntil: ''
+    })
+  }
+
+  const cancelBlockedTimeEdit = () => {
+    setEditingBlockId(null)
+    setBlockEntry(emptyBlockedTime)
+  }
+
+  // Editing changes a single entry; new entries can repeat weekly
+  const saveBlockedTime = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const response = editingBlockId
+        ? await axios.put(`http://localhost:5000/api/physicians/${user.id}/blocked-time/${editingBlockId}`, blockEntry)
+        : await axios.post(`http://localhost:5000/api/physicians/${user.id}/blocked-time`, blockEntry)
+      const affected = response.data.affectedAppointments.length
+      toast.success(affected > 0
+        ? `Time blocked. ${affected} appointment(s) in that time were flagged for rescheduling and the patients notified.`
+        : 'Time blocked')
+      cancelBlockedTimeEdit()
+      fetchBlockedTime()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not block time')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeBlockedTime = async (entry, series = false) => {
+    try {
+      await axios.delete(`http://localhost:5000/api/physicians/${user.id}/blocked-time/${entry.id}`, {
+        params: series ? { series: true } : undefined
+      })
+      if (editingBlockId === entry.id) {
+        cancelBlockedTimeEdit()
+      }
+      fetchBlockedTime()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not remove blocked time')
+    }
+  }
+
+  const addTimeOff = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const response = await axios.post(`http://localhost:5000/api/physicians/${user.id}/time-off`, absence)
+      const affected = response.data.affectedAppointments.length
+      toast.success(affected > 0
+        ? `Time off added. ${affected} appointment(s) were flagged for rescheduling and the patients notified.`
+        : 'Time off added')
+      setAbsence({ startDate: '', endDate: '', reason: '' })
+      fetchTimeOff()
+      fetchPreview()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not add time off')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateBlock = (name) => (e) => setBlock({ ...block, [name]: e.target.value })
+  const updateOverride = (name) => (e) => setOverride({ ...override, [name]: e.target.value })
+  const updateBlockEntry = (name) => (e) => setBlockEntry({ ...blockEntry, [name]: e.target.value })
+  const updateAbsence = (name) => (e) => setAbsence({ ...absence, [name]: e.target.value })
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 space-y-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-gray-900">Schedule &amp; Time Off</h1>
+          <Link href="/physician/dashboard" className="text-indigo-600 hover:text-indigo-900">
+            Back to Dashboard
+          </Link>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4">Regular Hours</h2>
+          {schedule.length === 0 ? (
+            <p className="text-gray-500 mb-4">No hours set yet</p>
+          ) : (
+            <table className="min-w-full mb-6">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Pattern', 'Location', 'Hours', 'Lunch', 'Room', 'Dates', ''].map((heading) => (
+                    <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {schedule.map((row) => (
+                  <tr key={row.id}>
+                    <td className="px-4 py-2 text-sm">{describePattern(row)}</td>
+                    <td className="px-4 py-2 text-sm">{row.location_name}</td>
+                    <td className="px-4 py-2 text-sm">{row.start_time.slice(0, 5)} - {row.end_time.slice(0, 5)}</td>
+                    <td className="px-4 py-2 text-sm">{row.lunch_start ? `${row.lunch_start.slice(0, 5)} - ${row.lunch_end.slice(0, 5)}` : '-'}</td>
+                    <td className="px-4 py-2 text-sm">{row.room || '-'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{describeDates(row)}</td>
+                    <td className="px-4 py-2 text-sm space-x-3 text-right">
+                      <button onClick={() => editBlock(row)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                      <button onClick={() => removeBlock(row)} className="text-red-600 hover:text-red-900">Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <form onSubmit={saveBlock} className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+            <label className="text-sm text-gray-700">
+              Day
+              <select value={block.dayOfWeek} onChange={updateBlock('dayOfWeek')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                {DAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Location
+              <select required value={block.locationId} onChange={updateBlock('locationId')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                <option value="">Select...</option>
+                {locations.map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Repeats
+              <select value={block.recurrence} onChange={updateBlock('recurrence')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                <option value="weekly">Every week</option>
+                <option value="biweekly">Every other week</option>
+                <option value="monthly">Once a month</option>
+              </select>
+            </label>
+            {block.recurrence === 'monthly' ? (
+              <label className="text-sm text-gray-700">
+                Which week
+                <select value={block.weekOfMonth} onChange={updateBlock('weekOfMonth')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                  {WEEKS_OF_MONTH.map((week) => (
+                    <option key={week.value} value={week.value}>{week.label}</option>
+                  ))}
+                </select>
+              </label>
+            ) : <div />}
+            <label className="text-sm text-gray-700">
+              Start
+              <input type="time" required value={block.startTime} onChange={updateBlock('startTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              End
+              <input type="time" required value={block.endTime} onChange={updateBlock('endTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Lunch start
+              <input type="time" value={block.lunchStart} onChange={updateBlock('lunchStart')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Lunch end
+              <input type="time" value={block.lunchEnd} onChange={updateBlock('lunchEnd')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Room
+              <input value={block.room} onChange={updateBlock('room')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Starting
+              <input type="date" value={block.effectiveFrom} onChange={updateBlock('effectiveFrom')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Until (optional)
+              <input type="date" min={block.effectiveFrom} value={block.effectiveTo} onChange={updateBlock('effectiveTo')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50">
+              Save Hours
+            </button>
+          </form>
+          <p className="mt-2 text-xs text-gray-500">
+            Leave Starting empty to change the hours in effect now. With a start date, the current hours for that day and location end the day before.
+          </p>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4">One-off Changes</h2>
+          {overrides.length === 0 ? (
+            <p className="text-gray-500 mb-4">No upcoming changes</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 mb-6">
+              {overrides.map((entry) => (
+                <li key={entry.id} className="py-2 text-sm flex justify-between">
+                  <span>
+                    {format(parseISO(entry.override_date), 'EEE, PP')} at {entry.location_name}:{' '}
+                    {entry.start_time
+                      ? `${entry.kind === 'extra' ? 'extra hours' : 'hours changed to'} ${entry.start_time.slice(0, 5)} - ${entry.end_time.slice(0, 5)}`
+                      : 'closed'}
+                    {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+                  </span>
+                  <button onClick={() => removeOverride(entry)} className="text-red-600 hover:text-red-900">Remove</button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={addOverride} className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+            <label className="text-sm text-gray-700">
+              Date
+              <input type="date" required value={override.date} onChange={updateOverride('date')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Location
+              <select required value={override.locationId} onChange={updateOverride('locationId')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                <option value="">Select...</option>
+                {locations.map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Change
+              <select value={override.kind} onChange={updateOverride('kind')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                <option value="extra">Extra hours</option>
+                <option value="replace">Different hours / closed</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Reason
+              <input value={override.reason} onChange={updateOverride('reason')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Start
+              <input type="time" required={override.kind === 'extra'} value={override.startTime} onChange={updateOverride('startTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              End
+              <input type="time" required={override.kind === 'extra'} value={override.endTime} onChange={updateOverride('endTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Room
+              <input value={override.room} onChange={updateOverride('room')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50">
+              Add Change
+            </button>
+          </form>
+          <p className="mt-2 text-xs text-gray-500">
+            Different hours replace your regular hours at that location for the day; leave the times empty to close it.
+            Booked appointments outside the new hours are flagged for rescheduling.
+          </p>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4">Blocked Time</h2>
+          {blockedTime.length === 0 ? (
+            <p className="text-gray-500 mb-4">No upcoming blocked time</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 mb-6">
+              {blockedTime.map((entry) => (
+                <li key={entry.id} className={`py-2 text-sm flex justify-between ${editingBlockId === entry.id ? 'bg-indigo-50' : ''}`}>
+                  <span>
+                    {format(parseISO(entry.block_date), 'EEE, PP')} {entry.start_time.slice(0, 5)} - {entry.end_time.slice(0, 5)}:{' '}
+                    {BLOCKED_TIME_LABELS[entry.category]}
+                    {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+                    {entry.series_id && <span className="ml-2 text-xs text-indigo-600">Weekly</span>}
+                  </span>
+                  <span className="space-x-3">
+                    <button onClick={() => editBlockedTime(entry)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                    <button onClick={() => removeBlockedTime(entry)} className="text-red-600 hover:text-red-900">Remove</button>
+                    {entry.series_id && (
+                      <button onClick={() => removeBlockedTime(entry, true)} className="text-red-600 hover:text-red-900">Remove this and later</button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={saveBlockedTime} className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+            <label className="text-sm text-gray-700">
+              Date
+              <input type="date" required value={blockEntry.date} onChange={updateBlockEntry('date')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Start
+              <input type="time" required value={blockEntry.startTime} onChange={updateBlockEntry('startTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              End
+              <input type="time" required value={blockEntry.endTime} onChange={updateBlockEntry('endTime')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Type
+              <select value={blockEntry.category} onChange={updateBlockEntry('category')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                {Object.entries(BLOCKED_TIME_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 md:col-span-2">
+              Reason
+              <input value={blockEntry.reason} onChange={updateBlockEntry('reason')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            {editingBlockId ? (
+              <button type="button" onClick={cancelBlockedTimeEdit} className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">
+                Cancel
+              </button>
+            ) : (
+              <label className="text-sm text-gray-700">
+                Repeat weekly until (optional)
+                <input type="date" min={blockEntry.date} value={blockEntry.repeatUntil} onChange={updateBlockEntry('repeatUntil')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+            )}
+            <button type="submit" disabled={saving} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50">
+              {editingBlockId ? 'Save Changes' : 'Block Time'}
+            </button>
+          </form>
+          <p className="mt-2 text-xs text-gray-500">
+            Blocked time applies at every location. Booked appointments in that time are flagged for rescheduling.
+          </p>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4">Next {PREVIEW_DAYS / 7} Weeks</h2>
+          <div className="grid grid-cols-7 gap-2">
+            {preview.map((day) => (
+              <div key={day.date} className={`p-2 border rounded text-xs ${day.blocks.length === 0 ? 'bg-gray-100 text-gray-400' : ''}`}>
+                <p className="font-medium text-gray-700">{format(parseISO(day.date), 'EEE MMM d')}</p>
+                {day.timeOff ? (
+                  <p className="text-red-500">Time off</p>
+                ) : day.blocks.length === 0 ? (
+                  <p>Off</p>
+                ) : day.blocks.map((entry) => (
+                  <p key={`${entry.source}-${entry.id}`} className={entry.source === 'override' ? 'text-yellow-700' : 'text-gray-600'}>
+                    {entry.start_time.slice(0, 5)}-{entry.end_time.slice(0, 5)} {entry.location_name}
+                  </p>
+                ))}
+                {!day.timeOff && day.blocked.map((entry) => (
+                  <p key={`blocked-${entry.id}`} className="text-gray-400 italic">
+                    {entry.start_time.slice(0, 5)}-{entry.end_time.slice(0, 5)} {BLOCKED_TIME_LABELS[entry.category]}
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold mb-4">Time Off</h2>
+          {timeOff.length === 0 ? (
+            <p className="text-gray-500 mb-4">No upcoming time off</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 mb-6">
+              {timeOff.map((entry) => (
+                <li key={entry.id} className="py-2 text-sm">
+                  {format(parseISO(entry.start_date), 'PP')} - {format(parseISO(entry.end_date), 'PP')}
+                  {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={addTimeOff} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <label className="text-sm text-gray-700">
+              From
+              <input type="date" required value={absence.startDate} onChange={updateAbsence('startDate')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              To
+              <input type="date" required min={absence.startDate} value={absence.endDate} onChange={updateAbsence('endDate')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Reason
+              <input value={absence.reason} onChange={updateAbsence('reason')} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+            </label>
+            <button type="submit" disabled={saving} className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 disabled:opacity-50">
+              Add Time Off
+            </button>
+          </form>
+          <p className="mt-2 text-xs text-gray-500">
+            Booked appointments in this period are flagged for rescheduling and the patients are notified.
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// components/SlotPicker.js
+'use client'
+
+import Calendar from 'react-calendar'
+import 'react-calendar/dist/Calendar.css'
+import { format } from 'date-fns'
+import { formatInTimeZone } from 'date-fns-tz'
+import { differsFromViewer } from '@/components/ZonedTime'
+
+// Date, location and time slot selection shared by booking and rescheduling.
+// slots come from GET /api/physicians/:id/available-slots and are listed at
+// their location's local time. availability maps 'yyyy-MM-dd' to the days from
+// GET /api/physicians/:id/availability-summary for the month shown, which
+// onMonthChange reports.
+export default function SlotPicker({
+  locations,
+  selectedLocationId,
+  onLocationChange,
+  selectedDate,
+  onDateChange,
+  slots,
+  selectedSlot,
+  onSelectSlot,
+  availability,
+  onMonthChange
+}) {
+  const summaryFor = (date, view) => view === 'month' && availability?.[format(date, 'yyyy-MM-dd')]
+
+  const otherZones = [...new Set(
+    slots.filter((slot) => differsFromViewer(slot.startsAt, slot.timeZone)).map((slot) => slot.timeZone)
+  )]
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div>
+        {locations.length > 1 && (
+          <div className="mb-4">
+            <label className="block font-medium mb-2">Location</label>
+            <select
+              value={selectedLocationId}
+              onChange={(e) => onLocationChange(e.target.value)}
+              className="block w-full border border-gray-300 rounded-md p-2"
+            >
+              <option value="">All locations</option>
+              {locations.map((location) => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <h3 className="font-medium mb-2">Select Date</h3>
+        <Calendar
+          onChange={onDateChange}
+          value={selectedDate}
+          minDate={new Date()}
+          onActiveStartDateChange={({ activeStartDate, view }) => view === 'month' && onMonthChange?.(activeStartDate)}
+          tileDisabled={({ date, view }) => summaryFor(date, view)?.openSlots === 0}
+          tileContent={({ date, view }) => {
+            const day = summaryFor(date, view)
+            return day?.openSlots > 0 ? <span className="block text-xs text-green-700">{day.openSlots} open</span> : null
+          }}
+        />
+      </div>
+      <div>
+        <h3 className="font-medium mb-2">Available Time Slots</h3>
+        <div className="grid grid-cols-2 gap-2 max-h-96 overflow-y-auto">
+          {slots.length === 0 ? (
+            <p className="text-gray-500 col-span-2">No available slots for this date</p>
+          ) : (
+            slots.map((slot, index) => (
+              <button
+                key={index}
+                onClick={() => onSelectSlot(slot)}
+                className={`p-2 text-sm rounded ${
+                  selectedSlot === slot
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-gray-100 hover:bg-gray-200'
+                }`}
+              >
+                {slot.start} - {slot.end} {formatInTimeZone(new Date(slot.startsAt), slot.timeZone, 'zzz')}
+                <span className="block text-xs opacity-75">{slot.locationName}</span>
+              </button>
+            ))
+          )}
+        </div>
+        {otherZones.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            Times are local to the clinic ({otherZones.join(', ')}), which is not your time zone.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// app/patient/reschedule/[id]/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { format, parseISO } from 'date-fns'
+import Link from 'next/link'
+import SlotPicker from '@/components/SlotPicker'
+import ZonedTime from '@/components/ZonedTime'
+
+const minutesBetween = (start, end) =>
+  (new Date(`1970-01-01T${end}`) - new Date(`1970-01-01T${start}`)) / 60000
+
+export default function RescheduleAppointment({ params }) {
+  const router = useRouter()
+  const [appointment, setAppointment] = useState(null)
+  const [notFound, setNotFound] = useState(false)
+  const [locations, setLocations] = useState([])
+  const [selectedLocationId, setSelectedLocationId] = useState('')
+  const [selectedDate, setSelectedDate] = useState(new Date())
+  const [calendarMonth, setCalendarMonth] = useState(new Date())
+  const [availability, setAvailability] = useState({})
+  const [availableSlots, setAvailableSlots] = useState([])
+  const [selectedSlot, setSelectedSlot] = useState(null)
+  const [hold, setHold] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    fetchAppointment()
+  }, [])
+
+  useEffect(() => {
+    if (appointment) {
+      fetchAvailableSlots()
+    }
+  }, [appointment, selectedDate, selectedLocationId])
+
+  useEffect(() => {
+    if (appointment) {
+      fetchAvailabilitySummary()
+    }
+  }, [appointment, selectedLocationId, calendarMonth])
+
+  const fetchAppointment = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/appointments/${params.id}`)
+      setAppointment(response.data)
+      fetchLocations(response.data)
+    } catch (error) {
+      setNotFound(true)
+    }
+  }
+
+  // Same physician, limited to where the visit type is offered
+  const fetchLocations = async (original) => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${original.physician_id}/schedule`)
+      const unique = new Map(response.data.map((row) => [row.location_id, row.location_name]))
+      const all = Array.from(unique, ([id, name]) => ({ id, name }))
+      setLocations(original.allowed_location_ids?.length
+        ? all.filter((location) => original.allowed_location_ids.includes(location.id))
+        : all)
+    } catch (error) {
+      console.error('Error fetching locations:', error)
+    }
+  }
+
+  // Visit-type slots keep the visit's length and buffers; without a visit type, match the original length
+  const fetchAvailableSlots = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${appointment.physician_id}/available-slots`, {
+        params: {
+          date: format(selectedDate, 'yyyy-MM-dd'),
+          locationId: selectedLocationId || undefined,
+          visitTypeId: appointment.visit_type_id || undefined,
+          duration: appointment.visit_type_id ? undefined : minutesBetween(appointment.start_time, appointment.end_time)
+        }
+      })
+      setAvailableSlots(response.data.slots)
+      setSelectedSlot(null)
+    } catch (error) {
+      console.error('Error fetching available slots:', error)
+    }
+  }
+
+  const fetchAvailabilitySummary = async () => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/physicians/${appointment.physician_id}/availability-summary`, {
+        params: {
+          month: format(calendarMonth, 'yyyy-MM'),
+          locationId: selectedLocationId || undefined,
+          visitTypeId: appointment.visit_type_id || undefined,
+          duration: appointment.visit_type_id ? undefined : minutesBetween(appointment.start_time, appointment.end_time)
+        }
+      })
+      setAvailability(Object.fromEntries(response.data.days.map((day) => [day.date, day])))
+    } catch (error) {
+      console.error('Error fetching availability:', error)
+    }
+  }
+
+  // Reserve the new time while the patient compares and confirms
+  const holdSlot = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.post('http://localhost:5000/api/appointments/holds', {
+        physicianId: appointment.physician_id,
+        locationId: selectedSlot.locationId,
+        visitTypeId: appointment.visit_type_id || undefined,
+        appointmentDate: format(selectedDate, 'yyyy-MM-dd'),
+        startTime: selectedSlot.start,
+        endTime: selectedSlot.end,
+        startsAt: selectedSlot.startsAt,
+        endsAt: selectedSlot.endsAt
+      })
+      setHold(response.data)
+    } catch (error) {
+      toast.error(error.response?.status === 409
+        ? 'That time was just taken. Please choose another.'
+        : error.response?.data?.error || 'Could not reserve this time slot')
+      fetchAvailableSlots()
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const releaseHold = async () => {
+    if (hold) {
+      await axios.delete(`http://localhost:5000/api/appointments/holds/${hold.holdId}`).catch(() => {})
+      setHold(null)
+    }
+  }
+
+  const handleSubmit = async () => {
+    setLoading(true)
+    try {
+      await axios.post(`http://localhost:5000/api/appointments/${appointment.id}/reschedule`, {
+        appointmentDate: format(selectedDate, 'yyyy-MM-dd'),
+        startTime: selectedSlot.start,
+        endTime: selectedSlot.end,
+        startsAt: selectedSlot.startsAt,
+        endsAt: selectedSlot.endsAt,
+        locationId: selectedSlot.locationId
+      })
+      toast.success('Appointment rescheduled')
+      router.push('/patient/dashboard')
+    } catch (error) {
+      if (error.response?.status === 409) {
+        toast.error('That time is no longer available. Please choose another.')
+        setHold(null)
+        fetchAvailableSlots()
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to reschedule appointment')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (notFound) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12 px-4 text-center">
+        <p className="text-gray-700 mb-4">This appointment could not be found.</p>
+        <Link href="/patient/dashboard" className="text-indigo-600 hover:text-indigo-900">Back to your appointments</Link>
+      </div>
+    )
+  }
+
+  if (!appointment) {
+    return <div className="text-center py-12">Loading...</div>
+  }
+
+  if (!['scheduled', 'needs-reschedule'].includes(appointment.status)) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12 px-4 text-center">
+        <p className="text-gray-700 mb-4">This appointment is {appointment.status} and can no longer be rescheduled online.</p>
+        <Link href="/patient/dashboard" className="text-indigo-600 hover:text-indigo-900">Back to your appointments</Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Reschedule Appointment</h1>
+        <p className="text-gray-600 mb-8">
+          {appointment.visit_type_name || 'Visit'} with Dr. {appointment.physician_first_name} {appointment.physician_last_name}
+        </p>
+
+        {!hold ? (
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Choose a New Time</h2>
+            <SlotPicker
+              locations={locations}
+              selectedLocationId={selectedLocationId}
+              onLocationChange={setSelectedLocationId}
+              selectedDate={selectedDate}
+              onDateChange={setSelectedDate}
+              slots={availableSlots}
+              selectedSlot={selectedSlot}
+              onSelectSlot={setSelectedSlot}
+              availability={availability}
+              onMonthChange={setCalendarMonth}
+            />
+            <div className="mt-6 flex justify-between">
+              <Link href="/patient/dashboard" className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400">
+                Keep Current Time
+              </Link>
+              <button
+                onClick={holdSlot}
+                disabled={!selectedSlot || loading}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Confirm the Change</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="bg-gray-50 p-4 rounded">
+                <h3 className="font-medium text-gray-500 mb-2">Current</h3>
+                <p className="line-through text-gray-500">{format(parseISO(appointment.appointment_date), 'PPP')}</p>
+                <p className="line-through text-gray-500">
+                  <ZonedTime start={appointment.starts_at} end={appointment.ends_at} timeZone={appointment.time_zone} />
+                </p>
+                <p className="text-gray-500">{appointment.location_name}</p>
+              </div>
+              <div className="bg-indigo-50 p-4 rounded">
+                <h3 className="font-medium text-indigo-700 mb-2">New</h3>
+                <p>{format(selectedDate, 'PPP')}</p>
+                <p><ZonedTime start={selectedSlot.startsAt} end={selectedSlot.endsAt} timeZone={selectedSlot.timeZone} /></p>
+                <p>{selectedSlot.locationName}</p>
+              </div>
+            </div>
+            <p className="mt-2 text-sm text-gray-500">
+              The new time is reserved for you until {format(new Date(hold.expiresAt), 'p')}
+            </p>
+            <div className="mt-6 flex justify-between">
+              <button
+                onClick={releaseHold}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={loading}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {loading ? 'Rescheduling...' : 'Confirm New Time'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// app/register/page.js
+'use client'
+
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import Link from 'next/link'
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+
+export default function Register() {
+  const { register, handleSubmit, watch, setError, formState: { errors } } = useForm()
+  const [loading, setLoading] = useState(false)
+  const [registeredEmail, setRegisteredEmail] = useState(null)
+
+  const onSubmit = async ({ confirmPassword, ...data }) => {
+    setLoading(true)
+    try {
+      await axios.post('http://localhost:5000/api/auth/register', data)
+      setRegisteredEmail(data.email)
+    } catch (error) {
+      // Show server-side validation errors next to their fields
+      const fieldErrors = error.response?.data?.errors
+      if (fieldErrors) {
+        fieldErrors.forEach((fieldError) => setError(fieldError.path, { message: fieldError.msg }))
+      } else {
+        toast.error(error.response?.data?.error || 'Registration failed')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/resend-verification', { email: registeredEmail })
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error('Could not send a new link')
+    }
+  }
+
+  if (registeredEmail) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-6 text-center">
+          <h2 className="text-2xl font-bold text-gray-900">Check your email</h2>
+          <p className="text-gray-600">
+            We sent a confirmation link to <span className="font-medium">{registeredEmail}</span>. Open it to finish creating your account, then sign in.
+          </p>
+          <button onClick={resendVerification} className="font-medium text-indigo-600 hover:text-indigo-500">
+            Send a new link
+          </button>
+          <div>
+            <Link href="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Create your patient account
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Physicians and staff receive their accounts from the practice administrator.
+          </p>
+        </div>
+        <form className="space-y-6 bg-white shadow rounded-lg p-6" onSubmit={handleSubmit(onSubmit)}>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">First name</label>
+              <input {...register('firstName', { required: 'First name is required' })} className={inputClass} />
+              {errors.firstName && <p className="mt-1 text-sm text-red-600">{errors.firstName.message}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Last name</label>
+              <input {...register('lastName', { required: 'Last name is required' })} className={inputClass} />
+              {errors.lastName && <p className="mt-1 text-sm text-red-600">{errors.lastName.message}</p>}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Email address</label>
+            <input
+              {...register('email', {
+                required: 'Email is required',
+                pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter a valid email address' }
+              })}
+              type="email"
+              autoComplete="email"
+              className={inputClass}
+            />
+            {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+              <input
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: { value: 8, message: 'Password must be at least 8 characters' }
+                })}
+                type="password"
+                autoComplete="new-password"
+                className={inputClass}
+              />
+              {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Confirm password</label>
+              <input
+                {...register('confirmPassword', {
+                  validate: (value) => value === watch('password') || 'Passwords do not match'
+                })}
+                type="password"
+                autoComplete="new-password"
+                className={inputClass}
+              />
+              {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of birth</label>
+              <input
+                {...register('dateOfBirth', {
+                  required: 'Date of birth is required',
+                  validate: (value) => new Date(value) < new Date() || 'Date of birth must be in the past'
+                })}
+                type="date"
+                className={inputClass}
+              />
+              {errors.dateOfBirth && <p className="mt-1 text-sm text-red-600">{errors.dateOfBirth.message}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone (optional)</label>
+              <input {...register('phone')} type="tel" autoComplete="tel" className={inputClass} />
+              {errors.phone && <p className="mt-1 text-sm text-red-600">{errors.phone.message}</p>}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+            <textarea
+              {...register('address', { required: 'Address is required' })}
+              rows={2}
+              autoComplete="street-address"
+              className={inputClass}
+            />
+            {errors.address && <p className="mt-1 text-sm text-red-600">{errors.address.message}</p>}
+          </div>
+
+          <div className="border-t pt-4">
+            <h3 className="font-medium text-gray-900 mb-2">Insurance (optional)</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+                <input {...register('insuranceProvider')} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Member ID</label>
+                <input
+                  {...register('insuranceId', {
+                    validate: (value) => !watch('insuranceProvider') || !!value || 'Member ID is required with an insurance provider'
+                  })}
+                  className={inputClass}
+                />
+                {errors.insuranceId && <p className="mt-1 text-sm text-red-600">{errors.insuranceId.message}</p>}
+              </div>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {loading ? 'Creating account...' : 'Create account'}
+          </button>
+
+          <div className="text-center">
+            <Link href="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Already have an account? Sign in
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+// app/verify-email/page.js
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'next/navigation'
+import axios from 'axios'
+import Link from 'next/link'
+
+export default function VerifyEmail() {
+  const searchParams = useSearchParams()
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('')
+  // Strict Mode runs effects twice in development; the link is only submitted once
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (submitted.current) {
+      return
+    }
+    submitted.current = true
+    verify()
+  }, [])
+
+  const verify = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/verify-email', {
+        token: searchParams.get('token')
+      })
+      setMessage(response.data.message)
+      setStatus('verified')
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'This link is invalid or has expired')
+      setStatus('failed')
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-6 text-center">
+        {status === 'verifying' ? (
+          <p className="text-gray-600">Confirming your email address...</p>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900">
+              {status === 'verified' ? 'You\'re all set' : 'We couldn\'t confirm your email'}
+            </h2>
+            <p className="text-gray-600">{message}</p>
+            {status === 'failed' && (
+              <p className="text-sm text-gray-500">Sign in to request a new link.</p>
+            )}
+            <Link href="/login" className="inline-block bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">
+              Sign in
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// components/WalkInQueue.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { format, parseISO } from 'date-fns'
+import { toast } from 'react-toastify'
+import { ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline'
+
+// Seconds between queue refreshes, so the waiting room stays current on every screen
+const POLL_INTERVAL_MS = 30 * 1000
+
+const formatTime = (time) => format(new Date(`1970-01-01T${time}`), 'h:mm a')
+
+const emptyIntake = { patientId: '', search: '', newPatient: false, firstName: '', lastName: '', dateOfBirth: '', phone: '', physicianId: '', locationId: '', visitTypeId: '', reasonForVisit: '' }
+
+// Live walk-in queue. Staff (manage) can register walk-ins, reorder them, book them
+// into open gaps or remove them; physicians see their own queue read-only.
+export default function WalkInQueue({ manage = false, physicians = [], defaultLocationId = '', onLoad, onSlotted }) {
+  const [queue, setQueue] = useState([])
+  const [gaps, setGaps] = useState(null)
+  const [intake, setIntake] = useState(null)
+  const [matches, setMatches] = useState([])
+  const [locations, setLocations] = useState([])
+  const [visitTypes, setVisitTypes] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    fetchQueue()
+    const timer = setInterval(fetchQueue, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  useEffect(() => {
+    if (intake && !intake.newPatient && intake.search.length >= 2) {
+      const timer = setTimeout(searchPatients, 300)
+      return () => clearTimeout(timer)
+    }
+  }, [intake?.search])
+
+  useEffect(() => {
+    if (intake?.physicianId) {
+      axios.get(`http://localhost:5000/api/physicians/${intake.physicianId}/visit-types`)
+        .then((response) => setVisitTypes(response.data))
+        .catch(() => setVisitTypes([]))
+    }
+  }, [intake?.physicianId])
+
+  const fetchQueue = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/walk-ins')
+      setQueue(response.data.queue)
+      onLoad?.(response.data.walkInsToday)
+    } catch (error) {
+      console.error('Error fetching walk-in queue:', error)
+    }
+  }
+
+  const searchPatients = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/patients', { params: { search: intake.search } })
+      setMatches(response.data)
+    } catch (error) {
+      console.error('Error searching patients:', error)
+    }
+  }
+
+  const openIntake = async () => {
+    setIntake({ ...emptyIntake, locationId: defaultLocationId || '' })
+    setMatches([])
+    if (locations.length === 0) {
+      try {
+        const response = await axios.get('http://localhost:5000/api/locations')
+        setLocations(response.data)
+      } catch (error) {
+        console.error('Error fetching locations:', error)
+      }
+    }
+  }
+
+  const updateIntake = (name) => (e) => setIntake({ ...intake, [name]: e.target.value })
+
+  const submitIntake = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      await axios.post('http://localhost:5000/api/walk-ins', {
+        patientId: intake.newPatient ? undefined : Number(intake.patientId),
+        patient: intake.newPatient
+          ? { firstName: intake.firstName, lastName: intake.lastName, dateOfBirth: intake.dateOfBirth, phone: intake.phone }
+          : undefined,
+        physicianId: Number(intake.physicianId),
+        locationId: Number(intake.locationId),
+        visitTypeId: intake.visitTypeId ? Number(intake.visitTypeId) : null,
+        reasonForVisit: intake.reasonForVisit
+      })
+      toast.success('Walk-in added to the queue')
+      setIntake(null)
+      fetchQueue()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not register walk-in')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const move = async (walkIn, position) => {
+    try {
+      await axios.patch(`http://localhost:5000/api/walk-ins/${walkIn.id}/position`, { position })
+      fetchQueue()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not reorder the queue')
+    }
+  }
+
+  const showGaps = async (walkIn) => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/walk-ins/${walkIn.id}/gaps`)
+      setGaps({ walkIn, slots: response.data })
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not load open times')
+    }
+  }
+
+  const slotIn = async (slot) => {
+    try {
+      await axios.post(`http://localhost:5000/api/walk-ins/${gaps.walkIn.id}/slot`, { startTime: slot.start, endTime: slot.end })
+      toast.success(`${gaps.walkIn.patient_first_name} ${gaps.walkIn.patient_last_name} booked at ${formatTime(slot.start)}`)
+      setGaps(null)
+      fetchQueue()
+      onSlotted?.()
+    } catch (error) {
+      toast.error(error.response?.status === 409 ? 'That time was just taken, pick another' : error.response?.data?.error || 'Could not book the walk-in')
+      if (error.response?.status === 409) {
+        showGaps(gaps.walkIn)
+      }
+    }
+  }
+
+  const remove = async (walkIn) => {
+    if (window.confirm(`Remove ${walkIn.patient_first_name} ${walkIn.patient_last_name} from the queue?`)) {
+      try {
+        await axios.delete(`http://localhost:5000/api/walk-ins/${walkIn.id}`)
+        fetchQueue()
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Could not remove walk-in')
+      }
+    }
+  }
+
+  const physicianIds = [...new Set(queue.map((walkIn) => walkIn.physician_id))]
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-xl font-bold text-gray-900">Walk-in Queue</h2>
+        {manage && (
+          <button onClick={openIntake} className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700">
+            Add Walk-in
+          </button>
+        )}
+      </div>
+
+      {queue.length === 0 ? (
+        <p className="text-center text-gray-500 py-6">Nobody is waiting</p>
+      ) : physicianIds.map((physicianId) => {
+        const waiting = queue.filter((walkIn) => walkIn.physician_id === physicianId)
+        return (
+          <div key={physicianId} className="px-6 py-4 border-b border-gray-100">
+            {manage && (
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                Dr. {waiting[0].physician_first_name} {waiting[0].physician_last_name}
+              </h3>
+            )}
+            <ul className="divide-y divide-gray-100">
+              {waiting.map((walkIn, index) => (
+                <li key={walkIn.id} className="py-2 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {index + 1}. {walkIn.patient_first_name} {walkIn.patient_last_name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Arrived {format(new Date(walkIn.arrived_at), 'h:mm a')}
+                      {walkIn.visit_type_name && ` · ${walkIn.visit_type_name}`}
+                      {walkIn.reason_for_visit && ` · ${walkIn.reason_for_visit}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-700">
+                      {walkIn.estimatedWaitMinutes === 0 ? 'Next' : `~${walkIn.estimatedWaitMinutes} min`}
+                      <span className="block text-xs text-gray-500">est. {formatTime(walkIn.estimatedStart)}</span>
+                    </span>
+                    {manage && (
+                      <>
+                        <button
+                          onClick={() => move(walkIn, index)}
+                          disabled={index === 0}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ArrowUpIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => move(walkIn, index + 2)}
+                          disabled={index === waiting.length - 1}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ArrowDownIcon className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => showGaps(walkIn)} className="text-sm text-indigo-600 hover:text-indigo-900">
+                          Slot In
+                        </button>
+                        <button onClick={() => remove(walkIn)} className="text-sm text-red-600 hover:text-red-900">
+                          Left
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )
+      })}
+
+      {gaps && (
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 space-y-4">
+            <h3 className="text-lg font-semibold">
+              Open times for {gaps.walkIn.patient_first_name} {gaps.walkIn.patient_last_name}
+            </h3>
+            {gaps.slots.length === 0 ? (
+              <p className="text-sm text-gray-500">No gaps left today. Keep them in the queue.</p>
+            ) : (
+              <div className="grid grid-cols-3 gap-2 max-h-64 overflow-y-auto">
+                {gaps.slots.map((slot) => (
+                  <button key={slot.start} onClick={() => slotIn(slot)} className="p-2 text-sm rounded bg-gray-100 hover:bg-indigo-600 hover:text-white">
+                    {formatTime(slot.start)}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end">
+              <button onClick={() => setGaps(null)} className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {intake && (
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50 p-4">
+          <form onSubmit={submitIntake} className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6 space-y-4">
+            <h3 className="text-lg font-semibold">Register Walk-in</h3>
+
+            <div className="flex space-x-4 text-sm">
+              <label className="flex items-center space-x-1">
+                <input type="radio" checked={!intake.newPatient} onChange={() => setIntake({ ...intake, newPatient: false })} />
+                <span>Existing patient</span>
+              </label>
+              <label className="flex items-center space-x-1">
+                <input type="radio" checked={intake.newPatient} onChange={() => setIntake({ ...intake, newPatient: true, patientId: '' })} />
+                <span>New patient</span>
+              </label>
+            </div>
+
+            {intake.newPatient ? (
+              <div className="grid grid-cols-2 gap-3">
+                <input required value={intake.firstName} onChange={updateIntake('firstName')} placeholder="First name" className="px-3 py-2 border border-gray-300 rounded-md" />
+                <input required value={intake.lastName} onChange={updateIntake('lastName')} placeholder="Last name" className="px-3 py-2 border border-gray-300 rounded-md" />
+                <input required type="date" value={intake.dateOfBirth} onChange={updateIntake('dateOfBirth')} className="px-3 py-2 border border-gray-300 rounded-md" />
+                <input value={intake.phone} onChange={updateIntake('phone')} placeholder="Phone" className="px-3 py-2 border border-gray-300 rounded-md" />
+              </div>
+            ) : (
+              <div>
+                <input
+                  value={intake.search}
+                  onChange={updateIntake('search')}
+                  placeholder="Search patient name..."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <div className="mt-2 max-h-40 overflow-y-auto divide-y divide-gray-100">
+                  {matches.map((patient) => (
+                    <button
+                      type="button"
+                      key={patient.id}
+                      onClick={() => setIntake({ ...intake, patientId: patient.id })}
+                      className={`w-full text-left px-3 py-2 text-sm ${intake.patientId === patient.id ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                    >
+                      {patient.first_name} {patient.last_name}
+                      {patient.date_of_birth && (
+                        <span className="text-gray-500"> · DOB {format(parseISO(patient.date_of_birth), 'PP')}</span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+              <select required value={intake.physicianId} onChange={updateIntake('physicianId')} className="px-3 py-2 border border-gray-300 rounded-md">
+                <option value="">Physician</option>
+                {physicians.map((physician) => (
+                  <option key={physician.id} value={physician.id}>
+                    Dr. {physician.first_name} {physician.last_name}
+                  </option>
+                ))}
+              </select>
+              <select required value={intake.locationId} onChange={updateIntake('locationId')} className="px-3 py-2 border border-gray-300 rounded-md">
+                <option value="">Location</option>
+                {locations.map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+              <select value={intake.visitTypeId} onChange={updateIntake('visitTypeId')} className="px-3 py-2 border border-gray-300 rounded-md">
+                <option value="">{visitTypes.length > 0 ? 'Visit type' : 'No visit types'}</option>
+                {visitTypes.map((visitType) => (
+                  <option key={visitType.id} value={visitType.id}>{visitType.name}</option>
+                ))}
+              </select>
+              <input value={intake.reasonForVisit} onChange={updateIntake('reasonForVisit')} placeholder="Reason for visit" className="px-3 py-2 border border-gray-300 rounded-md" />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setIntake(null)} className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50">
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={submitting || (!intake.newPatient && !intake.patientId) || (visitTypes.length > 0 && !intake.visitTypeId)}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {submitting ? 'Adding...' : 'Add to Queue'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// components/ZonedTime.js
+'use client'
+
+import { formatInTimeZone, getTimezoneOffset } from 'date-fns-tz'
+
+const viewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Whether the viewer's clock reads differently from timeZone's at instant
+export const differsFromViewer = (instant, timeZone) =>
+  getTimezoneOffset(timeZone, new Date(instant)) !== getTimezoneOffset(viewerTimeZone(), new Date(instant))
+
+const formatRange = (start, end, timeZone, withDay) =>
+  `${formatInTimeZone(start, timeZone, withDay ? 'EEE h:mm a' : 'h:mm a')}${end ? ` - ${formatInTimeZone(end, timeZone, 'h:mm a')}` : ''} ${formatInTimeZone(start, timeZone, 'zzz')}`
+
+// A time (or start-end range) at its location's local time, e.g. "9:00 AM - 9:30 AM EST",
+// followed by the viewer's own time when their clock differs. start/end are ISO 8601
+// instants from the API; timeZone is the location's IANA zone.
+export default function ZonedTime({ start, end, timeZone }) {
+  const startDate = new Date(start)
+  const endDate = end && new Date(end)
+  const viewerZone = viewerTimeZone()
+  const otherDay = formatInTimeZone(startDate, timeZone, 'yyyy-MM-dd') !== formatInTimeZone(startDate, viewerZone, 'yyyy-MM-dd')
+
+  return (
+    <span>
+      {formatRange(startDate, endDate, timeZone, false)}
+      {differsFromViewer(start, timeZone) && (
+        <span className="text-gray-400"> ({formatRange(startDate, endDate, viewerZone, otherDay)} your time)</span>
+      )}
+    </span>
+  )
+}
+
+// components/FirstAvailableSearch.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { format, addDays, parseISO } from 'date-fns'
+import ZonedTime from '@/components/ZonedTime'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const TIMES_OF_DAY = [
+  { value: 'morning', label: 'Morning' },
+  { value: 'afternoon', label: 'Afternoon' },
+  { value: 'evening', label: 'Evening' }
+]
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value])
+
+// Earliest open slots across physicians, from GET /api/physicians/first-available.
+// onSelect receives the chosen slot with the visit type searched for (or null);
+// a new searchKey repeats the last search, e.g. after the chosen slot was taken.
+export default function FirstAvailableSearch({ specializations, selected, onSelect, searchKey }) {
+  const [specialization, setSpecialization] = useState('')
+  const [visitTypes, setVisitTypes] = useState([])
+  const [visitTypeId, setVisitTypeId] = useState('')
+  const [locations, setLocations] = useState([])
+  const [locationId, setLocationId] = useState('')
+  const [from, setFrom] = useState(format(new Date(), 'yyyy-MM-dd'))
+  const [to, setTo] = useState(format(addDays(new Date(), 13), 'yyyy-MM-dd'))
+  const [weekdays, setWeekdays] = useState([])
+  const [timesOfDay, setTimesOfDay] = useState([])
+  const [results, setResults] = useState(null)
+  const [searching, setSearching] = useState(false)
+
+  useEffect(() => {
+    fetchLocations()
+  }, [])
+
+  useEffect(() => {
+    setVisitTypeId('')
+    setVisitTypes([])
+    if (specialization) {
+      fetchVisitTypes()
+    }
+  }, [specialization])
+
+  useEffect(() => {
+    if (searchKey && visitTypeId) {
+      search()
+    }
+  }, [searchKey])
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/locations')
+      setLocations(response.data)
+    } catch (error) {
+      console.error('Error fetching locations:', error)
+    }
+  }
+
+  // Visit types shared across the specialization; physician-specific ones are booked by physician
+  const fetchVisitTypes = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/visit-types', { params: { specialization } })
+      setVisitTypes(response.data.filter((visitType) => !visitType.physician_id))
+    } catch (error) {
+      console.error('Error fetching visit types:', error)
+    }
+  }
+
+  const search = async (e) => {
+    e?.preventDefault()
+    setSearching(true)
+    onSelect(null)
+    try {
+      const response = await axios.get('http://localhost:5000/api/physicians/first-available', {
+        params: {
+          specialization,
+          visitTypeId,
+          locationId: locationId || undefined,
+          from,
+          to,
+          weekdays: weekdays.length ? weekdays.join(',') : undefined,
+          timesOfDay: timesOfDay.length ? timesOfDay.join(',') : undefined
+        }
+      })
+      setResults(response.data.slots)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Search failed')
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const visitType = visitTypes.find((entry) => entry.id === Number(visitTypeId))
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={search} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Specialty</label>
+            <select
+              value={specialization}
+              onChange={(e) => setSpecialization(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            >
+              <option value="">Select a specialty</option>
+              {specializations.map((value) => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Visit type</label>
+            <select
+              value={visitTypeId}
+              onChange={(e) => setVisitTypeId(e.target.value)}
+              disabled={!specialization}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2 disabled:bg-gray-100"
+            >
+              <option value="">Select a visit type</option>
+              {visitTypes.map((entry) => (
+                <option key={entry.id} value={entry.id}>{entry.name} ({entry.duration_minutes} min)</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Location</label>
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            >
+              <option value="">Any location</option>
+              {locations
+                .filter((location) => !visitType?.allowed_location_ids?.length || visitType.allowed_location_ids.includes(location.id))
+                .map((location) => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From</label>
+            <input
+              type="date"
+              value={from}
+              min={format(new Date(), 'yyyy-MM-dd')}
+              onChange={(e) => setFrom(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">To</label>
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="mt-1 block w-full border border-gray-300 rounded-md p-2"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map((day, index) => (
+              <label key={day} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={weekdays.includes(index)}
+                  onChange={() => setWeekdays(toggle(weekdays, index))}
+                />
+                <span>{day}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {TIMES_OF_DAY.map((time) => (
+              <label key={time.value} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={timesOfDay.includes(time.value)}
+                  onChange={() => setTimesOfDay(toggle(timesOfDay, time.value))}
+                />
+                <span>{time.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">Leave days and times unchecked to search all of them.</p>
+
+        <button
+          type="submit"
+          disabled={!visitTypeId || searching}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {results && (
+        <div className="space-y-2">
+          {results.length === 0 ? (
+            <p className="text-gray-500">No open appointments match. Try a wider date range or fewer preferences.</p>
+          ) : (
+            results.map((slot) => (
+              <button
+                key={`${slot.physicianId}-${slot.locationId}-${slot.startsAt}`}
+                onClick={() => onSelect({ ...slot, visitType })}
+                className={`w-full text-left border rounded-lg p-3 hover:border-indigo-500 ${
+                  selected?.physicianId === slot.physicianId && selected?.startsAt === slot.startsAt
+                    ? 'border-indigo-500 bg-indigo-50'
+                    : 'border-gray-300'
+                }`}
+              >
+                <p className="font-medium">
+                  {format(parseISO(slot.date), 'EEE, PP')} · <ZonedTime start={slot.startsAt} end={slot.endsAt} timeZone={slot.timeZone} />
+                </p>
+                <p className="text-sm text-gray-600">{slot.physicianName} · {slot.locationName}</p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}